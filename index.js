@@ -9,36 +9,41 @@
  * under specific namespace paths to prevent global namespace pollution.
  * 2. STATIC ASSET ORCHESTRATION: Serves institutional frontends from the 
  * /public directory while maintaining API-to-UI isolation.
- * 3. MIDDLEWARE LAYER: Enforces global security policies (CORS) and 
- * standardizes JSON ingestion for all downstream agents.
+ * 3. MIDDLEWARE LAYER: Standardizes JSON ingestion for all downstream agents.
+ * Each tool router sits behind the API gate (utils/apiAuth): API keys,
+ * per-key CORS allowlists and per-key/per-IP rate limits.
  * 4. ENVIRONMENT ABSTRACTION: Ingests Master Hub credentials (SMTP, reCAPTCHA) 
  * from .env for secure infrastructure handling.
+ * 5. OBSERVABILITY: Every request gets an id and one JSON log line (utils/logger)
+ * and feeds the Prometheus metrics; /healthz and /metrics live in routes/ops.
  * ================================================================================
  */
 
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
-const cors = require('cors');
+const { apiGuard } = require('./utils/apiAuth');
+const { logger, routeLabel, requestLogger } = require('./utils/logger');
+const metrics = require('./utils/metrics');
 
 const app = express();
 
 /**
  * A. GLOBAL MIDDLEWARE
- * Standardizes the data ingestion format and security handshake for the Hub.
+ * Standardizes the data ingestion format for the Hub. CORS is decided per API key by the API gate.
  */
-app.use(cors()); // Permits cross-origin requests for embedded agents (iframes).
-app.use(express.json()); // Parses incoming JSON payloads for API routes.
+// Behind a reverse proxy (Hostinger, Replit) set TRUST_PROXY=1 so per-IP limits see the client, not the proxy.
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 
 /**
- * B. LOGGING DEBUGGER (Institutional Audit Trail)
- * Monitors request flow and maps requested URLs to the local file system.
+ * B. REQUEST LOGGING & METRICS (Institutional Audit Trail)
+ * Registered first, so requests rejected by later middleware are logged and counted too.
  */
-app.use((req, res, next) => {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] Request: ${req.method} ${req.url}`);
-    next();
-});
+app.use(requestLogger((req, res, route, seconds) => {
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpDuration.observe({ method: req.method, route }, seconds);
+}));
+app.use(express.json()); // Parses incoming JSON payloads for API routes.
 
 /**
  * C. API ROUTING (Tool Registration)
@@ -47,11 +52,15 @@ app.use((req, res, next) => {
 const tanagaRoutes = require('./routes/tanaga');
 const sentimentRoutes = require('./routes/sentiment');
 const contactRoutes = require('./routes/contact'); // Newly provisioned Contact Stack
+const adminRoutes = require('./routes/admin');
+const opsRoutes = require('./routes/ops');
 
-// Namespace Mappings
-app.use('/api/tanaga-agent', tanagaRoutes);
-app.use('/api/sentiment-pipeline', sentimentRoutes);
-app.use('/api/contact', contactRoutes); // Mounting the Contact API Gateway
+// Namespace Mappings (each behind the API gate, scoped by tool)
+app.use('/api/tanaga-agent', apiGuard('tanaga'), tanagaRoutes);
+app.use('/api/sentiment-pipeline', apiGuard('sentiment'), sentimentRoutes);
+app.use('/api/contact', apiGuard('contact'), contactRoutes); // Mounting the Contact API Gateway
+app.use('/api/admin', adminRoutes); // API key management (ADMIN_TOKEN)
+app.use(opsRoutes); // /healthz and /metrics (outside the API gate)
 
 /**
  * D. STATIC ASSET SERVING
@@ -64,7 +73,23 @@ app.use('/api/contact', contactRoutes); // Mounting the Contact API Gateway
 app.use(express.static(path.join(__dirname, 'public')));
 
 /**
- * E. SERVER INITIALIZATION
+ * E. ERROR BOUNDARY
+ * Errors that escape a route (e.g. malformed JSON bodies) are logged with their request id
+ * and answered as JSON instead of Express's HTML page.
+ */
+app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    // Parser messages can quote the request body, so their error type is logged instead
+    const fields = { requestId: req.id, route: routeLabel(req, res), status, error: err.type || err.message };
+    if (status >= 500) logger.error('Unhandled Route Error', { ...fields, stack: err.stack });
+    else logger.warn('Rejected Request', fields);
+
+    if (res.headersSent) return next(err);
+    res.status(status).json({ error: status < 500 && err.expose ? err.message : 'Internal Server Error.', requestId: req.id });
+});
+
+/**
+ * F. SERVER INITIALIZATION
  * Boots the Sovereign Engine Hub and announces the status of institutional endpoints.
  */
 const PORT = process.env.PORT || 3000;
@@ -74,5 +99,7 @@ app.listen(PORT, () => {
     console.log(`\x1b[36mTanaga Agent:\x1b[0m     http://localhost:${PORT}/tanaga-agent/`);
     console.log(`\x1b[36mSentiment Pipeline:\x1b[0m http://localhost:${PORT}/sentiment-pipeline/`);
     console.log(`\x1b[36mContact Stack:\x1b[0m      http://localhost:${PORT}/contact/`);
+    console.log(`\x1b[36mHealth / Metrics:\x1b[0m   http://localhost:${PORT}/healthz | /metrics`);
     console.log(`\n\x1b[33m[INFRASTRUCTURE STATUS: READY]\x1b[0m\n`);
+    logger.info("Hub Online", { port: Number(PORT) });
 });
\ No newline at end of file
@@ -7,39 +7,85 @@
  * redaction at the earliest possible stage of the pipeline.
  * 3. TRANSPARENCY: Uses the VADER (Valence Aware Dictionary and sEntiment Reasoner) 
  * lexicon, optimized for social media and short-form research text.
+ * 4. MULTILINGUAL: Each row is routed by detected language. Tagalog and Taglish
+ * rows add the bundled Tagalog lexicon; unsupported languages are not scored.
  */
 
-const vader = require('vader-sentiment');
+const { polarityScores } = require('./utils/lexicon');
+const { createRedactor, defaultRules } = require('./utils/redactor');
+const { detectLanguage } = require('./utils/language');
+const tagalog = require('./utils/lexicons/tagalog');
+
+// Project-level rule set (PII_RULES_SENTIMENT / PII_RULES); requests may pass their own redactor.
+const defaultRedactor = createRedactor(defaultRules('sentiment'));
+
+// Tagalog lexicon merged with each custom profile once (the profile wins on shared words).
+const tagalogMerges = new WeakMap();
+const withTagalog = (lexicon) => {
+    if (!lexicon) return tagalog.entries;
+    if (!tagalogMerges.has(lexicon)) tagalogMerges.set(lexicon, new Map([...tagalog.entries, ...lexicon]));
+    return tagalogMerges.get(lexicon);
+};
+
+// LANGUAGE ROUTING: one scorer per supported language (see utils/language).
+const SCORERS = {
+    en: (text, lexicon) => polarityScores(text, lexicon),
+    tl: (text, lexicon) => polarityScores(tagalog.normalize(text), withTagalog(lexicon)),
+    taglish: (text, lexicon) => polarityScores(tagalog.normalize(text), withTagalog(lexicon))
+};
 
 /**
  * Executes a sentiment analysis pass on a single string.
  * @param {string} text - The raw research content from a CSV row.
- * @returns {object} - Contains the compound score and the sanitized text.
+ * @param {function} [redact] - A redactor from utils/redactor (defaults to the project rule set).
+ * @param {Map<string, number>} [lexicon] - Custom word valences from a lexicon profile (utils/lexicon).
+ * @returns {object} - Contains the detected language, whether it is supported, the compound score and
+ * pos/neu/neg components (null when unsupported), the sanitized text and per-category redaction counts.
  */
-const analyzeText = (text) => {
+const analyzeText = (text, redact = defaultRedactor, lexicon = null) => {
     // Graceful handling of empty or null records
-    if (!text || typeof text !== 'string') return { score: 0, redacted: "" };
+    if (!text || typeof text !== 'string') return { language: null, supported: false, score: 0, pos: 0, neu: 0, neg: 0, redacted: "", redactions: {} };
 
     /**
      * STAGE 1: PII REDACTION
-     * Objective: Remove emails and phone numbers to ensure research compliance.
-     * Logic: Regex matching for standard communication patterns.
+     * Objective: Remove emails, phones, URLs, handles, IPs, card numbers and SSNs to ensure research compliance.
+     * Logic: Shared rule registry in utils/redactor (see that module for the rule list).
      */
-    const redacted = text
-        .replace(/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi, '[EMAIL]')
-        .replace(/\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/g, '[PHONE]');
+    const { text: redacted, counts: redactions } = redact(text);
 
     /**
-     * STAGE 2: VADER POLARITY SCORING
+     * STAGE 2: LANGUAGE DETECTION
+     * Logic: Script check, then function-word voting (utils/language).
+     * Unsupported rows are reported rather than scored as a misleading 0.0.
+     */
+    const { language, supported } = detectLanguage(redacted);
+    if (!supported) return { language, supported, score: null, pos: null, neu: null, neg: null, redacted, redactions };
+
+    /**
+     * STAGE 3: VADER POLARITY SCORING
      * Logic: VADER maps linguistic features to a 'Compound' score.
      * Scoring: -1.0 (Extreme Negative) | 0.0 (Neutral) | 1.0 (Extreme Positive).
+     * Domain profiles add to or override the stock VADER lexicon for this call only.
      */
-    const intensity = vader.SentimentIntensityAnalyzer.polarity_scores(redacted);
+    const intensity = SCORERS[language](redacted, lexicon);
 
     return {
+        language: language,        // 'en' | 'tl' | 'taglish'
+        supported: supported,
         score: intensity.compound, // The primary metric for our 11-bin distribution
-        redacted: redacted         // The sanitized text for display/export
+        pos: intensity.pos,        // Proportion of the text rated positive
+        neu: intensity.neu,        // Proportion of the text rated neutral
+        neg: intensity.neg,        // Proportion of the text rated negative
+        redacted: redacted,        // The sanitized text for display/export
+        redactions: redactions     // Matches removed per PII category
     };
 };
 
-module.exports = { analyzeText };
\ No newline at end of file
+/**
+ * Maps a compound score onto the 11-bin polarity distribution.
+ * @param {number} score - VADER compound score in [-1.0, 1.0].
+ * @returns {number} - Bin index 0 (-1.0) through 10 (+1.0); bin 5 is neutral.
+ */
+const toBinIndex = (score) => Math.min(10, Math.max(0, Math.round((score + 1) * 5)));
+
+module.exports = { analyzeText, toBinIndex };
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign API Client (Browser)
+ * MISSION: Attaches the operator's API key to hub API calls made by the first-party tools.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. STORAGE: The key stays in this origin's localStorage and travels as X-API-Key.
+ * 2. PROMPT ON 401: The operator is asked for a key once (shared by concurrent
+ * calls) and the call is retried; a rejected key is forgotten.
+ * 3. EMBEDS: Display, compare and widget pages call anonymous endpoints and do
+ * not load this file.
+ * ================================================================================
+ */
+(function () {
+    const STORAGE_KEY = 'sovereign.apiKey';
+    let pendingPrompt = null;
+
+    function askForKey() {
+        if (!pendingPrompt) {
+            pendingPrompt = Promise.resolve().then(() => {
+                const entered = (prompt("This tool needs an API key (ask the hub operator):") || '').trim();
+                if (entered) localStorage.setItem(STORAGE_KEY, entered);
+                pendingPrompt = null;
+                return entered;
+            });
+        }
+        return pendingPrompt;
+    }
+
+    /**
+     * fetch() with the stored API key attached.
+     * @param {string} url - Hub API URL.
+     * @param {object} [options] - fetch options (bodies must be re-sendable: strings, FormData, Blobs).
+     * @returns {Promise<Response>}
+     */
+    async function apiFetch(url, options = {}) {
+        const send = (key) => fetch(url, {
+            ...options,
+            headers: { ...(options.headers || {}), ...(key ? { 'X-API-Key': key } : {}) }
+        });
+
+        const stored = localStorage.getItem(STORAGE_KEY);
+        const response = await send(stored);
+        if (response.status !== 401) return response;
+
+        if (stored) localStorage.removeItem(STORAGE_KEY);
+        const entered = await askForKey();
+        if (!entered) return response;
+
+        const retried = await send(entered);
+        if (retried.status === 401) localStorage.removeItem(STORAGE_KEY);
+        return retried;
+    }
+
+    window.apiFetch = apiFetch;
+})();
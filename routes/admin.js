@@ -0,0 +1,100 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Admin Controller (Node.js)
+ * MISSION: API key management and the contact delivery queue for the Engine Hub.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. OPERATOR ONLY: Every route requires ADMIN_TOKEN as a bearer token and is
+ * rate-limited by IP (see utils/apiAuth).
+ * 2. SHOW ONCE: The plaintext key is in the creation response only; listings
+ * show the public prefix (see utils/apiKeys).
+ * 3. OUTBOX: Queue listings carry status and errors, never message bodies
+ * (see utils/outbox). Dead letters can be requeued or dropped.
+ * ================================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { limitByIp, requireAdmin } = require('../utils/apiAuth');
+const { TOOLS, DEFAULT_KEY_RATE_LIMIT, MAX_KEY_RATE_LIMIT, normalizeOrigin, createKey, listKeys, revokeKey } = require('../utils/apiKeys');
+const outbox = require('../utils/outbox');
+
+router.use(limitByIp, requireAdmin);
+
+// ROUTE: CREATE KEY (/api/admin/keys)
+// JSON: { name, scopes: ['tanaga'|'sentiment'|'contact', ...], origins?: ['https://site.org' | '*'], rate_limit?: per minute }
+router.post('/keys', async (req, res) => {
+    const body = req.body || {};
+    const name = String(body.name || '').trim();
+    if (!name || name.length > 64) return res.status(400).json({ error: 'name must be 1-64 characters' });
+
+    const scopes = Array.isArray(body.scopes) ? [...new Set(body.scopes.map(s => String(s).toLowerCase()))] : [];
+    if (!scopes.length || scopes.some(s => !TOOLS.includes(s))) {
+        return res.status(400).json({ error: `scopes must be a non-empty list of: ${TOOLS.join(', ')}` });
+    }
+
+    let origins;
+    try {
+        if (body.origins !== undefined && !Array.isArray(body.origins)) throw new Error('origins must be a list of origins');
+        origins = [...new Set((body.origins || []).map(normalizeOrigin))];
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const rateLimit = body.rate_limit === undefined ? DEFAULT_KEY_RATE_LIMIT : Number(body.rate_limit);
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_KEY_RATE_LIMIT) {
+        return res.status(400).json({ error: `rate_limit must be an integer between 1 and ${MAX_KEY_RATE_LIMIT} (requests per minute)` });
+    }
+
+    const created = await createKey({ name, scopes, origins, rateLimit });
+    res.status(201).json(created);
+});
+
+// ROUTE: LIST KEYS (/api/admin/keys)
+router.get('/keys', async (req, res) => {
+    res.json({ items: await listKeys() });
+});
+
+// ROUTE: REVOKE KEY (/api/admin/keys/:id)
+router.delete('/keys/:id', async (req, res) => {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) return res.status(400).json({ error: 'Invalid key id' });
+
+    const revoked = await revokeKey(id);
+    if (!revoked) return res.status(404).json({ error: 'API key not found' });
+    res.json({ success: true, ...revoked });
+});
+
+const messageId = (req) => {
+    const id = Number(req.params.id);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// ROUTE: LIST OUTBOX (/api/admin/outbox?status=dead&limit=50&offset=0)
+router.get('/outbox', async (req, res) => {
+    const status = req.query.status || null;
+    if (status && !outbox.STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${outbox.STATUSES.join(', ')}` });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    res.json(await outbox.listMessages({ status, limit, offset }));
+});
+
+// ROUTE: REQUEUE DEAD LETTER (/api/admin/outbox/:id/retry)
+router.post('/outbox/:id/retry', async (req, res) => {
+    const id = messageId(req);
+    if (!id) return res.status(400).json({ error: 'Invalid message id' });
+
+    const message = await outbox.retryMessage(id);
+    if (!message) return res.status(404).json({ error: 'No dead-lettered message with this id' });
+    res.json({ success: true, ...message });
+});
+
+// ROUTE: DROP MESSAGE (/api/admin/outbox/:id)
+router.delete('/outbox/:id', async (req, res) => {
+    const id = messageId(req);
+    if (!id) return res.status(400).json({ error: 'Invalid message id' });
+    if (!await outbox.deleteMessage(id)) return res.status(404).json({ error: 'Message not found (or being sent)' });
+    res.json({ success: true, id });
+});
+
+module.exports = router;
@@ -4,6 +4,15 @@
  * MISSION: Identity-validated, stateless email dispatch via Node.js/Express.
  * ARCHITECT: Christopher Fornesa
  * VERSION: 1.8 (Handshake & Routing Edition)
+ * * DESIGN NOTES:
+ * 1. DELIVERY: /send writes the inquiry to the delivery queue (utils/outbox)
+ * and answers 202; SMTP outages are retried with backoff. CONTACT_ENCRYPTION_KEY
+ * seals the queued body; without it the body is stored unencrypted until sent.
+ * 2. INBOX: Researchers may opt in to an encrypted inbox (utils/inbox) at
+ * provisioning. Its routes take the emailed access token as X-Researcher-Token.
+ * 3. SELF-SERVICE: Owners manage their identity through magic links
+ * (routes/contactManage, mounted at /manage). A 'revoked' identity keeps its
+ * row but its widget stops loading and sending.
  * ================================================================================
  */
 
@@ -12,7 +21,13 @@ const router = express.Router();
 const axios = require('axios');
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
-const { sendInquiry } = require('../utils/mailer'); 
+const { composeInquiry, composeInboxAccess } = require('../utils/mailer');
+const { sealingEnabled } = require('../utils/sealer');
+const inbox = require('../utils/inbox');
+const outbox = require('../utils/outbox');
+const researchers = require('../utils/researchers');
+const { logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
 
 // --- 1. INFRASTRUCTURE HANDSHAKE ---
 const dbPath = path.join(__dirname, '../contact.sqlite');
@@ -34,11 +49,27 @@ db.serialize(() => {
         consent_ip TEXT
     )`, (err) => {
         if (err) {
-            console.error("Vault Initialization Failure:", err.message);
+            logger.error("Vault Initialization Failure", { error: err.message });
         } else {
-            console.log("Vault Status: SECURE & SYNCHRONIZED");
+            logger.info("Vault Status: SECURE & SYNCHRONIZED");
         }
     });
+
+    // MIGRATION: Pre-self-service vaults lack the status column (design note 3)
+    db.all("PRAGMA table_info(contact_identities)", (err, columns) => {
+        if (err || columns.some(column => column.name === 'status')) return;
+        db.run("ALTER TABLE contact_identities ADD COLUMN status TEXT NOT NULL DEFAULT 'active'", (alterErr) => {
+            if (alterErr) logger.error("Vault Migration Failure", { error: alterErr.message });
+        });
+    });
+});
+
+/**
+ * UTILITY: vaultGet
+ * Promise form of db.get, so lookup errors reach the awaiting route instead of an unhandled callback.
+ */
+const vaultGet = (sql, params) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
 });
 
 // --- 2. PROVISIONING ROUTES ---
@@ -51,7 +82,7 @@ router.get('/hub-config', (req, res) => {
     try {
         const masterKey = process.env.RECAPTCHA_SITE_KEY;
         if (!masterKey) {
-            console.error("CRITICAL: RECAPTCHA_SITE_KEY missing from .env");
+            logger.error("CRITICAL: RECAPTCHA_SITE_KEY missing from .env");
             return res.status(500).json({ error: "Server Infrastructure Error." });
         }
         res.json({ masterSiteKey: masterKey });
@@ -60,16 +91,34 @@ router.get('/hub-config', (req, res) => {
     }
 });
 
+/**
+ * UTILITY: enableInboxFor
+ * Opts an identity in to the inbox and queues its access token to the researcher's own address.
+ * @returns {Promise<string>} - 'enabled' or 'already-enabled' (tokens are never re-sent from here).
+ */
+async function enableInboxFor(identityId, researcherEmail, ip) {
+    const token = await inbox.enableInbox(identityId);
+    if (!token) return 'already-enabled';
+    await outbox.enqueue({ mail: composeInboxAccess(researcherEmail, token), kind: 'inbox_access', identityId });
+    await researchers.audit(identityId, 'inbox_enabled', ip);
+    return 'enabled';
+}
+
 /**
  * ROUTE: POST /api/contact/provision
  * PURPOSE: Securely registers or retrieves a researcher's identity and security keys.
+ * Optional `inbox: true` opts in to the encrypted inbox (design note 2).
  */
 router.post('/provision', async (req, res) => {
     const { email, siteKey, secretKey, captchaToken, privacyConsent } = req.body;
+    const wantsInbox = req.body.inbox === true;
 
     if (!email || !privacyConsent || !siteKey || !secretKey) {
         return res.status(400).json({ error: "Institutional verification requires all security fields." });
     }
+    if (wantsInbox && !sealingEnabled()) {
+        return res.status(503).json({ error: "Encrypted inboxes are not available on this hub." });
+    }
 
     const cleanEmail = email.toLowerCase().trim();
 
@@ -77,19 +126,34 @@ router.post('/provision', async (req, res) => {
         const verifyUrl = `https://www.google.com/recaptcha/api/siteverify?secret=${process.env.RECAPTCHA_SECRET}&response=${captchaToken}`;
         const captchaRes = await axios.post(verifyUrl);
 
-        if (!captchaRes.data.success || captchaRes.data.score < 0.5) {
+        if (!captchaRes.data?.success || captchaRes.data.score < 0.5) {
             return res.status(403).json({ error: "Security Handshake Failed: Bot activity detected." });
         }
 
+        // Identity is settled first; the optional inbox opt-in follows
+        const respond = async (status, id) => {
+            const body = {
+                status,
+                id,
+                embedCode: `<iframe src="/contact/widget.html?id=${id}" width="100%" height="500" frameborder="0"></iframe>`
+            };
+            if (status === 'new') {
+                await researchers.audit(id, 'provisioned', req.ip, { siteKey }).catch(auditErr => logger.error("Audit Failure", { error: auditErr.message }));
+            }
+            try {
+                if (wantsInbox) body.inbox = await enableInboxFor(id, cleanEmail, req.ip);
+            } catch (inboxErr) {
+                logger.error("Inbox Opt-In Failure", { error: inboxErr.message });
+                body.inbox = 'failed';
+            }
+            res.json(body);
+        };
+
         db.get("SELECT id FROM contact_identities WHERE email_hash = ?", [cleanEmail], (err, row) => {
             if (err) return res.status(500).json({ error: "Vault Interrogation Error." });
 
             if (row) {
-                return res.json({ 
-                    status: "existing",
-                    id: row.id,
-                    embedCode: `<iframe src="/contact/widget.html?id=${row.id}" width="100%" height="500" frameborder="0"></iframe>`
-                });
+                return respond("existing", row.id);
             } else {
                 const stmt = db.prepare(`INSERT INTO contact_identities 
                     (email_hash, raw_email, recaptcha_site_key, recaptcha_secret_key, consent_ip) 
@@ -97,12 +161,7 @@ router.post('/provision', async (req, res) => {
 
                 stmt.run(cleanEmail, cleanEmail, siteKey, secretKey, req.ip, function(err) {
                     if (err) return res.status(500).json({ error: "Identity Provisioning Failed." });
-
-                    res.json({
-                        status: "new",
-                        id: this.lastID,
-                        embedCode: `<iframe src="/contact/widget.html?id=${this.lastID}" width="100%" height="500" frameborder="0"></iframe>`
-                    });
+                    respond("new", this.lastID);
                 });
             }
         });
@@ -116,37 +175,61 @@ router.post('/provision', async (req, res) => {
 /**
  * ROUTE: POST /api/contact/send
  * PURPOSE: Performs sovereign reCAPTCHA validation and dispatches the inquiry.
+ * Queued delivery answers 202 (design note 1); `stored` tells whether an inbox copy was kept.
+ * Every answer is counted in contact_sends_total by outcome (utils/metrics).
  */
 router.post('/send', async (req, res) => {
     const { id, senderEmail, subject, message, captchaToken } = req.body;
+    const outcome = (name) => metrics.contactSends.inc({ outcome: name });
 
     if (!id || !senderEmail || !message || !captchaToken) {
+        outcome('invalid');
         return res.status(400).json({ error: "Inquiry data incomplete." });
     }
 
+    let row;
     try {
-        db.get("SELECT raw_email, recaptcha_secret_key FROM contact_identities WHERE id = ?", [id], async (err, row) => {
-            if (err || !row) return res.status(404).json({ error: "Researcher ID invalid or revoked." });
-
-            const researcherEmail = row.raw_email;
-            const userSecretKey = row.recaptcha_secret_key;
-
-            const verifyUrl = `https://www.google.com/recaptcha/api/siteverify?secret=${userSecretKey}&response=${captchaToken}`;
-            const captchaRes = await axios.post(verifyUrl);
-
-            if (captchaRes.data.success && captchaRes.data.score >= 0.5) {
-                try {
-                    await sendInquiry(researcherEmail, senderEmail, subject, message);
-                    res.json({ success: true, message: "Inquiry dispatched." });
-                } catch (mailErr) {
-                    res.status(500).json({ error: "SMTP Gateway Transmission Failure." });
-                }
-            } else {
-                res.status(403).json({ error: "Security Verification Failed: Bot activity detected." });
-            }
-        });
-    } catch (error) {
-        res.status(500).json({ error: "Internal Dispatch Error." });
+        row = await vaultGet("SELECT raw_email, recaptcha_secret_key, status FROM contact_identities WHERE id = ?", [id]);
+    } catch (err) {
+        logger.error("Vault Interrogation Error", { error: err.message });
+        outcome('failed');
+        return res.status(500).json({ error: "Internal Dispatch Error." });
+    }
+    if (!row || row.status === 'revoked') {
+        outcome('invalid');
+        return res.status(404).json({ error: "Researcher ID invalid or revoked." });
+    }
+
+    const researcherEmail = row.raw_email;
+    const userSecretKey = row.recaptcha_secret_key;
+
+    let captchaRes;
+    try {
+        const verifyUrl = `https://www.google.com/recaptcha/api/siteverify?secret=${userSecretKey}&response=${captchaToken}`;
+        captchaRes = await axios.post(verifyUrl);
+    } catch (err) {
+        logger.error("Captcha Verification Failure", { error: err.message });
+        outcome('failed');
+        return res.status(502).json({ error: "Security verification is unavailable. Please try again later." });
+    }
+
+    if (!captchaRes.data?.success || captchaRes.data.score < 0.5) {
+        outcome('rejected');
+        return res.status(403).json({ error: "Security Verification Failed: Bot activity detected." });
+    }
+
+    try {
+        // Inbox copies are sealed, so there are none without a key
+        const stored = sealingEnabled() && await inbox.isInboxEnabled(Number(id));
+        const { mail, inquiry, redactions } = composeInquiry(researcherEmail, senderEmail, subject, message, { stored });
+        if (stored) await inbox.storeInquiry(Number(id), inquiry);
+        await outbox.enqueue({ mail, kind: 'inquiry', identityId: Number(id) });
+        outcome('queued');
+        res.status(202).json({ success: true, message: "Inquiry accepted for delivery.", stored, redactions });
+    } catch (queueErr) {
+        logger.error("Outbox Enqueue Failure", { error: queueErr.message });
+        outcome('failed');
+        res.status(500).json({ error: "Inquiry could not be queued." });
     }
 });
 
@@ -155,10 +238,64 @@ router.post('/send', async (req, res) => {
  * PURPOSE: Provides the sovereign public Site Key to the widget.
  */
 router.get('/config/:id', (req, res) => {
-    db.get("SELECT recaptcha_site_key FROM contact_identities WHERE id = ?", [req.params.id], (err, row) => {
-        if (err || !row) return res.status(404).json({ error: "Configuration ID not found." });
+    db.get("SELECT recaptcha_site_key, status FROM contact_identities WHERE id = ?", [req.params.id], (err, row) => {
+        if (err || !row || row.status === 'revoked') return res.status(404).json({ error: "Configuration ID not found." });
         res.json({ siteKey: row.recaptcha_site_key });
     });
 });
 
+// --- 4. RESEARCHER INBOX ROUTES ---
+
+/**
+ * MIDDLEWARE: requireResearcher
+ * Resolves X-Researcher-Token (emailed at opt-in) to req.researcherId.
+ */
+const requireResearcher = async (req, res, next) => {
+    if (!sealingEnabled()) return res.status(503).json({ error: "Encrypted inboxes are not available on this hub." });
+    const identityId = await inbox.verifyInboxToken(req.get('X-Researcher-Token'));
+    if (!identityId) return res.status(401).json({ error: "A valid X-Researcher-Token header is required." });
+    req.researcherId = identityId;
+    next();
+};
+
+const inquiryId = (req) => {
+    const id = Number(req.params.id);
+    return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+// ROUTE: LIST INQUIRIES (/api/contact/inbox?archived=1&limit=20&offset=0)
+router.get('/inbox', requireResearcher, async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const archived = req.query.archived === '1' || req.query.archived === 'true';
+    res.json(await inbox.listInquiries(req.researcherId, { archived, limit, offset }));
+});
+
+// ROUTE: READ INQUIRY (/api/contact/inbox/:id)
+router.get('/inbox/:id', requireResearcher, async (req, res) => {
+    const id = inquiryId(req);
+    const item = id && await inbox.getInquiry(req.researcherId, id);
+    if (!item) return res.status(404).json({ error: "Inquiry not found." });
+    res.json(item);
+});
+
+// ROUTE: ARCHIVE / RESTORE INQUIRY (/api/contact/inbox/:id) - JSON: { archived: true | false }
+router.patch('/inbox/:id', requireResearcher, async (req, res) => {
+    if (typeof req.body?.archived !== 'boolean') return res.status(400).json({ error: "Body must be { archived: true | false }." });
+    const id = inquiryId(req);
+    const item = id && await inbox.setArchived(req.researcherId, id, req.body.archived);
+    if (!item) return res.status(404).json({ error: "Inquiry not found." });
+    res.json(item);
+});
+
+// ROUTE: DELETE INQUIRY (/api/contact/inbox/:id)
+router.delete('/inbox/:id', requireResearcher, async (req, res) => {
+    const id = inquiryId(req);
+    if (!id || !await inbox.deleteInquiry(req.researcherId, id)) return res.status(404).json({ error: "Inquiry not found." });
+    res.json({ success: true, id });
+});
+
+// --- 5. SELF-SERVICE ROUTES (design note 3) ---
+router.use('/manage', require('./contactManage'));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,190 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Contact Self-Service (Node.js)
+ * MISSION: Lets researchers manage their own contact identity after proving they own its mailbox.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. SIGN-IN: POST /request mails a magic link to a provisioned address (the
+ * answer is the same whether or not the address is known). The page redeems
+ * it at POST /session for a short session, sent as X-Manage-Session.
+ * 2. FRAGMENT LINKS: Links carry their token after '#', so it never reaches
+ * server logs, proxies or Referer headers.
+ * 3. AUDIT: Every action is written to contact_audit (utils/researchers).
+ * Mounted by routes/contact at /api/contact/manage.
+ * ================================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const axios = require('axios');
+const researchers = require('../utils/researchers');
+const inbox = require('../utils/inbox');
+const outbox = require('../utils/outbox');
+const { sealingEnabled } = require('../utils/sealer');
+const { composeVerificationLink, composeInboxAccess } = require('../utils/mailer');
+const { logger } = require('../utils/logger');
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+const LINK_MINUTES = Number(process.env.MAGIC_LINK_MINUTES || 15);
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+const RECAPTCHA_KEY_PATTERN = /^[\w-]{10,100}$/;
+
+if (!process.env.PUBLIC_BASE_URL) {
+    logger.warn("Public Base URL Missing", { setting: 'PUBLIC_BASE_URL', fallback: PUBLIC_BASE_URL, effect: 'contact self-service links point at localhost' });
+}
+
+/**
+ * UTILITY: sendMail
+ * Hands the message to the delivery queue (utils/outbox), so it is retried like an inquiry.
+ */
+const sendMail = (mail, kind, identityId) => outbox.enqueue({ mail, kind, identityId });
+
+/**
+ * UTILITY: humanCheck
+ * Hub-level reCAPTCHA v3 check (the same master keys as provisioning).
+ */
+const humanCheck = async (captchaToken) => {
+    const verifyUrl = `https://www.google.com/recaptcha/api/siteverify?secret=${process.env.RECAPTCHA_SECRET}&response=${captchaToken}`;
+    const captchaRes = await axios.post(verifyUrl);
+    return Boolean(captchaRes.data.success && captchaRes.data.score >= 0.5);
+};
+
+const embedCode = (id) => `<iframe src="/contact/widget.html?id=${id}" width="100%" height="500" frameborder="0"></iframe>`;
+
+/**
+ * MIDDLEWARE: requireSession
+ * Resolves X-Manage-Session to req.identity.
+ */
+const requireSession = async (req, res, next) => {
+    const identityId = await researchers.verifySession(req.get('X-Manage-Session'));
+    const identity = identityId && await researchers.getIdentity(identityId);
+    if (!identity) return res.status(401).json({ error: "Your session has expired. Request a new sign-in link." });
+    req.identity = identity;
+    next();
+};
+
+// --- 1. SIGN-IN ---
+
+// ROUTE: REQUEST SIGN-IN LINK (/api/contact/manage/request) - JSON: { email, captchaToken }
+router.post('/request', async (req, res) => {
+    const email = String(req.body?.email || '').toLowerCase().trim();
+    if (!EMAIL_PATTERN.test(email) || !req.body.captchaToken) return res.status(400).json({ error: "An email address and a captcha token are required." });
+
+    try {
+        if (!await humanCheck(req.body.captchaToken)) return res.status(403).json({ error: "Security Handshake Failed: Bot activity detected." });
+    } catch (err) {
+        return res.status(500).json({ error: "Sovereign Engine Unavailable." });
+    }
+
+    const identityId = await researchers.findIdentityByEmail(email);
+    if (identityId) {
+        try {
+            const token = await researchers.issueMagicLink(identityId, 'manage', req.ip);
+            await sendMail(composeVerificationLink(email, `${PUBLIC_BASE_URL}/contact/manage.html#token=${token}`, 'manage', LINK_MINUTES), 'manage_link', identityId);
+            await researchers.audit(identityId, 'link_requested', req.ip);
+        } catch (err) {
+            logger.error("Manage Link Dispatch Failure", { identityId, error: err.message });
+        }
+    }
+    // Same answer either way (design note 1)
+    res.status(202).json({ success: true, message: "If this address has a contact widget, a sign-in link is on its way." });
+});
+
+// ROUTE: REDEEM SIGN-IN LINK (/api/contact/manage/session) - JSON: { token }
+router.post('/session', async (req, res) => {
+    const link = await researchers.redeemMagicLink(req.body?.token, 'manage');
+    if (!link || !await researchers.getIdentity(link.identityId)) {
+        return res.status(401).json({ error: "This link is invalid, already used or expired." });
+    }
+    const session = await researchers.openSession(link.identityId, req.ip);
+    await researchers.audit(link.identityId, 'session_opened', req.ip);
+    res.json({ session: session.token, expiresAt: session.expiresAt });
+});
+
+// ROUTE: SIGN OUT (/api/contact/manage/signout)
+router.post('/signout', requireSession, async (req, res) => {
+    await researchers.closeSession(req.get('X-Manage-Session'));
+    res.json({ success: true });
+});
+
+// ROUTE: CONFIRM NEW ADDRESS (/api/contact/manage/email/confirm) - JSON: { token }. The link itself proves ownership.
+router.post('/email/confirm', async (req, res) => {
+    const link = await researchers.redeemMagicLink(req.body?.token, 'email_change');
+    if (!link || !await researchers.getIdentity(link.identityId)) {
+        return res.status(401).json({ error: "This link is invalid, already used or expired." });
+    }
+    if (!await researchers.changeEmail(link.identityId, link.newEmail)) {
+        return res.status(409).json({ error: "Another contact widget already uses this address." });
+    }
+    await researchers.audit(link.identityId, 'email_changed', req.ip, { email: link.newEmail });
+    res.json({ success: true, email: link.newEmail });
+});
+
+// --- 2. IDENTITY MANAGEMENT (session required) ---
+
+// ROUTE: IDENTITY (/api/contact/manage)
+router.get('/', requireSession, async (req, res) => {
+    res.json({
+        ...req.identity,
+        inbox: sealingEnabled() ? await inbox.isInboxEnabled(req.identity.id) : null,
+        embedCode: embedCode(req.identity.id)
+    });
+});
+
+// ROUTE: AUDIT TRAIL (/api/contact/manage/audit)
+router.get('/audit', requireSession, async (req, res) => {
+    res.json({ items: await researchers.listAudit(req.identity.id) });
+});
+
+// ROUTE: ROTATE RECAPTCHA KEYS (/api/contact/manage/keys) - JSON: { siteKey, secretKey }
+router.post('/keys', requireSession, async (req, res) => {
+    const siteKey = String(req.body?.siteKey || '').trim();
+    const secretKey = String(req.body?.secretKey || '').trim();
+    if (!RECAPTCHA_KEY_PATTERN.test(siteKey) || !RECAPTCHA_KEY_PATTERN.test(secretKey)) {
+        return res.status(400).json({ error: "Both reCAPTCHA keys are required (10-100 letters, digits, - or _)." });
+    }
+    await researchers.rotateKeys(req.identity.id, siteKey, secretKey);
+    await researchers.audit(req.identity.id, 'keys_rotated', req.ip, { siteKey });
+    res.json({ success: true, siteKey });
+});
+
+// ROUTE: CHANGE ADDRESS (/api/contact/manage/email) - JSON: { email }. Takes effect once the new address confirms.
+router.post('/email', requireSession, async (req, res) => {
+    const email = String(req.body?.email || '').toLowerCase().trim();
+    if (!EMAIL_PATTERN.test(email)) return res.status(400).json({ error: "A valid email address is required." });
+    if (email === req.identity.email) return res.status(400).json({ error: "This is already your address." });
+    if (await researchers.findIdentityByEmail(email)) return res.status(409).json({ error: "Another contact widget already uses this address." });
+
+    const token = await researchers.issueMagicLink(req.identity.id, 'email_change', req.ip, email);
+    await sendMail(composeVerificationLink(email, `${PUBLIC_BASE_URL}/contact/manage.html#confirm=${token}`, 'email_change', LINK_MINUTES), 'email_change_link', req.identity.id);
+    await researchers.audit(req.identity.id, 'email_change_requested', req.ip, { email });
+    res.status(202).json({ success: true, message: `A confirmation link was sent to ${email}.` });
+});
+
+// ROUTE: PAUSE / RESUME WIDGET (/api/contact/manage/status) - JSON: { status: 'active' | 'revoked' }
+router.post('/status', requireSession, async (req, res) => {
+    const status = String(req.body?.status || '');
+    if (!researchers.STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${researchers.STATUSES.join(', ')}` });
+    await researchers.setStatus(req.identity.id, status);
+    await researchers.audit(req.identity.id, 'status_changed', req.ip, { status });
+    res.json({ success: true, status });
+});
+
+// ROUTE: ENABLE INBOX OR ROTATE ITS TOKEN (/api/contact/manage/inbox/token) - the token is mailed, never returned
+router.post('/inbox/token', requireSession, async (req, res) => {
+    if (!sealingEnabled()) return res.status(503).json({ error: "Encrypted inboxes are not available on this hub." });
+    const existed = await inbox.isInboxEnabled(req.identity.id);
+    const token = await inbox.enableInbox(req.identity.id, { rotate: true });
+    await sendMail(composeInboxAccess(req.identity.email, token), 'inbox_access', req.identity.id);
+    await researchers.audit(req.identity.id, existed ? 'inbox_token_rotated' : 'inbox_enabled', req.ip);
+    res.json({ success: true, message: `A new inbox token was sent to ${req.identity.email}.` });
+});
+
+// ROUTE: ERASE EVERYTHING (/api/contact/manage) - JSON: { confirm: 'ERASE' }
+router.delete('/', requireSession, async (req, res) => {
+    if (req.body?.confirm !== 'ERASE') return res.status(400).json({ error: 'Send { "confirm": "ERASE" } to delete this identity and all of its data.' });
+    await researchers.eraseIdentity(req.identity.id);
+    res.json({ success: true, erased: req.identity.id });
+});
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Operations Controller (Node.js)
+ * MISSION: Health and metrics endpoints for load balancers and Prometheus.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. HEALTH: GET /healthz runs the registered dependency checks
+ * (utils/health) and answers 200 (ok / degraded) or 503 (down).
+ * 2. METRICS: GET /metrics renders utils/metrics in the Prometheus text format.
+ * With METRICS_TOKEN set, scrapers must send it as a bearer token.
+ * 3. Both are rate-limited by IP (see utils/apiAuth) and sit outside the API
+ * key gate, so probes need no key.
+ * ================================================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { limitByIp, requireMetricsToken } = require('../utils/apiAuth');
+const { runChecks } = require('../utils/health');
+const { render } = require('../utils/metrics');
+
+// ROUTE: HEALTH (/healthz)
+router.get('/healthz', limitByIp, async (req, res) => {
+    const report = await runChecks();
+    res.set('Cache-Control', 'no-store');
+    res.status(report.status === 'down' ? 503 : 200).json(report);
+});
+
+// ROUTE: METRICS (/metrics)
+router.get('/metrics', limitByIp, requireMetricsToken, (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(render());
+});
+
+module.exports = router;
@@ -1,20 +1,99 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const csv = require('csv-parser');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
 const mysql = require('mysql2/promise');
 const sqlite3 = require('sqlite3');
 const { open } = require('sqlite');
-const { analyzeText } = require('../processor'); // Note: Go up one level
+const { analyzeText, toBinIndex } = require('../processor'); // Note: Go up one level
+const jobs = require('../utils/jobs');
+const { GRANULARITIES, createSeries } = require('../utils/timeseries');
+const { DEFAULT_SEGMENT_LIMIT, MAX_SEGMENT_LIMIT, createSegments } = require('../utils/segments');
+const { createStats } = require('../utils/stats');
+const { resolveRules, defaultRules, createRedactor, mergeCounts } = require('../utils/redactor');
+const { BIN_LABELS, renderDistributionSvg, svgToPng } = require('../utils/chart');
+const { chiSquareTest, ksTest, normalize, binnedMean } = require('../utils/compare');
+const { VISIBILITIES, DEFAULT_TOKEN_TTL_SECONDS, MAX_TOKEN_TTL_SECONDS, generateSlug, signEmbedToken, verifyEmbedToken } = require('../utils/embedTokens');
+const { BUILTIN_LEXICON, parseLexicon } = require('../utils/lexicon');
+const { SUPPORTED_LANGUAGES } = require('../utils/language');
+const { requireApiKey } = require('../utils/apiAuth');
+const { logger } = require('../utils/logger');
+const { registerCheck } = require('../utils/health');
+const metrics = require('../utils/metrics');
+const {
+    INPUT_FORMATS, MALFORMED, normalizeSelector, resolveDelimiter, resolveEncoding, isAcceptedUpload,
+    detectEncoding, detectFormat, openRowStream, sniffColumns
+} = require('../utils/adapters');
 
-const upload = multer({ dest: 'uploads/' });
+// Ingest guard rails. Rows past the row limit are not read; posts past the character limit are cut before scoring.
+const INGEST_LIMITS = {
+    fileBytes: Math.floor(Number(process.env.MAX_UPLOAD_MB || 50) * 1024 * 1024),
+    rows: Number(process.env.MAX_INGEST_ROWS || 1000000),
+    postChars: 5000
+};
+// An aggregate is saved only if at least this share of rows had usable (non-empty, well-formed) text.
+const MIN_USABLE_SHARE = 0.5;
+
+const upload = multer({
+    dest: 'uploads/',
+    limits: { fileSize: INGEST_LIMITS.fileBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (isAcceptedUpload(file.mimetype, file.originalname)) return cb(null, true);
+        cb(Object.assign(new Error(`Unsupported file type: ${file.mimetype || 'unknown'}`), { code: 'UNSUPPORTED_TYPE' }));
+    }
+});
+// Lexicon files are small dictionaries, parsed straight from memory.
+const lexiconUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
 let db;
 
+// Production runs against the MySQL pool; local/sandbox runs against SQLite.
+const isProduction = () => process.env.DB_HOST && process.env.DB_HOST !== '127.0.0.1';
+
+// Column order of the 11-bin polarity histogram (-1.0 ... +1.0), shared by every aggregate table.
+const BIN_COLUMNS = ['bin_n1_0', 'bin_n0_8', 'bin_n0_6', 'bin_n0_4', 'bin_n0_2', 'bin_0_0', 'bin_p0_2', 'bin_p0_4', 'bin_p0_6', 'bin_p0_8', 'bin_p1_0'];
+const BIN_DDL = BIN_COLUMNS.map(c => `${c} INTEGER`).join(', ');
+const rowBins = (row) => BIN_COLUMNS.map(c => row[c]);
+const EXPORT_FORMATS = ['csv', 'json', 'svg', 'png'];
+const SCORED_COLUMNS = ['language', 'compound', 'pos', 'neu', 'neg', 'bin_index'];
+const RECORD_FORMATS = ['ndjson', 'json'];
+
+// Summary statistics stored on every aggregate (added after the original bin-only schema).
+const SUMMARY_COLUMNS = {
+    row_count: 'INTEGER', mean_compound: 'REAL', median_compound: 'REAL', std_compound: 'REAL',
+    positive_share: 'REAL', neutral_share: 'REAL', negative_share: 'REAL',
+    mean_pos: 'REAL', mean_neu: 'REAL', mean_neg: 'REAL'
+};
+
+// PII audit trail: which redaction rules ran and how many matches each removed (JSON text).
+const AUDIT_COLUMNS = { redaction_rules: 'TEXT', redaction_counts: 'TEXT' };
+
+// Catalog metadata. Timestamps are UTC 'YYYY-MM-DD HH:MM:SS', valid as both SQLite text and MySQL DATETIME.
+const CATALOG_COLUMNS = { created_at: 'DATETIME' };
+
+// Embed access: unguessable slug plus private | unlisted | public visibility (see utils/embedTokens).
+const ACCESS_COLUMNS = { public_slug: 'VARCHAR(32)', visibility: 'VARCHAR(10)' };
+// Scoring provenance: the lexicon profile and version that produced the aggregate ('vader' = stock lexicon).
+const LEXICON_COLUMNS = { lexicon_name: 'VARCHAR(64)', lexicon_version: 'INTEGER' };
+const LEXICON_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Per-period polarity counts with the summary's ±0.05 thresholds (see utils/timeseries).
+const POLARITY_COLUMNS = { positive_count: 'INTEGER', neutral_count: 'INTEGER', negative_count: 'INTEGER' };
+
+// Rows skipped because their language has no scorer, per detected language (JSON text).
+const LANGUAGE_COLUMNS = { unsupported_languages: 'TEXT' };
+const sqlTimestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// Whitelisted catalog sort keys (never interpolate user input into ORDER BY).
+const CATALOG_SORTS = { created_at: 'created_at', title: 'project_title', id: 'id', row_count: 'row_count', mean: 'mean_compound' };
+const MAX_PAGE_SIZE = 100;
+const MAX_COMPARE = 10;
+
 // DB INITIALIZATION
 async function setupDatabase() {
-    const isProd = process.env.DB_HOST && process.env.DB_HOST !== '127.0.0.1';
-    if (isProd) {
+    if (isProduction()) {
         db = mysql.createPool({
             host: process.env.DB_HOST,
             user: process.env.DB_USER,
@@ -23,56 +102,985 @@ async function setupDatabase() {
         });
     } else {
         db = await open({ filename: './sandbox.sqlite', driver: sqlite3.Database });
-        await db.exec(`CREATE TABLE IF NOT EXISTS sentiment_aggregates (
-            id INTEGER PRIMARY KEY AUTOINCREMENT, project_title TEXT,
-            bin_n1_0 INTEGER, bin_n0_8 INTEGER, bin_n0_6 INTEGER, bin_n0_4 INTEGER, bin_n0_2 INTEGER,
-            bin_0_0 INTEGER, bin_p0_2 INTEGER, bin_p0_4 INTEGER, bin_p0_6 INTEGER, bin_p0_8 INTEGER, bin_p1_0 INTEGER
-        )`);
     }
+
+    // Dialect-neutral DDL: only the surrogate key syntax differs between SQLite and MySQL.
+    const pk = isProduction() ? 'INT AUTO_INCREMENT PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+    const tables = [
+        `CREATE TABLE IF NOT EXISTS sentiment_aggregates (
+            id ${pk}, project_title TEXT,
+            ${BIN_DDL}
+        )`,
+        `CREATE TABLE IF NOT EXISTS sentiment_timeseries (
+            id ${pk}, aggregate_id INTEGER NOT NULL,
+            granularity VARCHAR(8) NOT NULL, period_start VARCHAR(10) NOT NULL,
+            row_count INTEGER, mean_compound REAL,
+            ${BIN_DDL}
+        )`,
+        `CREATE TABLE IF NOT EXISTS sentiment_segments (
+            id ${pk}, aggregate_id INTEGER NOT NULL,
+            group_column VARCHAR(255) NOT NULL, segment_value VARCHAR(255) NOT NULL, is_other INTEGER DEFAULT 0,
+            row_count INTEGER, mean_compound REAL, std_compound REAL,
+            positive_share REAL, neutral_share REAL, negative_share REAL,
+            ${BIN_DDL}
+        )`,
+        `CREATE TABLE IF NOT EXISTS sentiment_languages (
+            id ${pk}, aggregate_id INTEGER NOT NULL, language VARCHAR(16) NOT NULL,
+            row_count INTEGER, mean_compound REAL, std_compound REAL,
+            positive_share REAL, neutral_share REAL, negative_share REAL,
+            ${BIN_DDL}
+        )`,
+        `CREATE TABLE IF NOT EXISTS lexicon_profiles (
+            id ${pk}, name VARCHAR(64) NOT NULL, version INTEGER NOT NULL,
+            entry_count INTEGER NOT NULL, entries MEDIUMTEXT NOT NULL, created_at DATETIME
+        )`
+    ];
+    for (const ddl of tables) await dbRun(ddl);
+
+    await addMissingColumns('sentiment_aggregates', { ...SUMMARY_COLUMNS, ...AUDIT_COLUMNS, ...CATALOG_COLUMNS, ...ACCESS_COLUMNS, ...LEXICON_COLUMNS, ...LANGUAGE_COLUMNS });
+    await addMissingColumns('sentiment_timeseries', POLARITY_COLUMNS);
+
+    // Rows saved before created_at existed are stamped with the migration time (their true age is unknown).
+    await dbRun('UPDATE sentiment_aggregates SET created_at = ? WHERE created_at IS NULL', [sqlTimestamp()]);
+
+    // Rows saved before slugs existed become 'unlisted': reachable by their new slug, no longer by sequential id.
+    await dbRun("UPDATE sentiment_aggregates SET visibility = 'unlisted' WHERE visibility IS NULL");
+    for (const { id } of await dbAll('SELECT id FROM sentiment_aggregates WHERE public_slug IS NULL')) {
+        await dbRun('UPDATE sentiment_aggregates SET public_slug = ? WHERE id = ?', [generateSlug(), id]);
+    }
+    // Every aggregate saved before lexicon profiles existed was scored with the stock lexicon.
+    await dbRun('UPDATE sentiment_aggregates SET lexicon_name = ? WHERE lexicon_name IS NULL', [BUILTIN_LEXICON]);
+
+    await addMissingIndex('sentiment_aggregates', 'idx_aggregates_public_slug', 'public_slug', true);
+    await addMissingIndex('lexicon_profiles', 'idx_lexicon_profiles_version', 'name, version', true);
+    await addMissingIndex('sentiment_timeseries', 'idx_timeseries_aggregate', 'aggregate_id');
+    await addMissingIndex('sentiment_segments', 'idx_segments_aggregate', 'aggregate_id');
+    await addMissingIndex('sentiment_languages', 'idx_languages_aggregate', 'aggregate_id');
 }
-setupDatabase();
 
-// ROUTE: INGEST (/api/sentiment-pipeline/ingest)
-router.post('/ingest', upload.single('csv_file'), async (req, res) => {
+// MIGRATION: Creates an index unless it exists (MySQL has no CREATE INDEX IF NOT EXISTS).
+async function addMissingIndex(table, name, column, unique = false) {
+    const exists = isProduction()
+        ? await dbGet('SELECT 1 AS found FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?', [table, name])
+        : await dbGet("SELECT 1 AS found FROM sqlite_master WHERE type = 'index' AND name = ?", [name]);
+    if (!exists) await dbRun(`CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${name} ON ${table} (${column})`);
+}
+
+// MIGRATION: Adds columns introduced after a table was first created (existing rows read NULL).
+async function addMissingColumns(table, columns) {
+    const existing = isProduction()
+        ? (await dbAll('SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?', [table])).map(c => c.name)
+        : (await dbAll(`PRAGMA table_info(${table})`)).map(c => c.name);
+
+    for (const [name, type] of Object.entries(columns)) {
+        if (!existing.includes(name)) await dbRun(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+}
+setupDatabase().catch(err => logger.error("Sentiment Database Initialization Failure", { error: err.message }));
+
+// HEALTH: The aggregate store answers a trivial query (GET /healthz)
+registerCheck('sentiment_db', async () => {
+    if (!db) throw new Error('Database not initialized.');
+    await dbGet('SELECT 1 AS ok');
+    return isProduction() ? 'mysql' : 'sqlite';
+});
+
+// QUERY HELPERS: Normalize the mysql2 pool and sqlite handle into one promise API.
+async function dbRun(sql, params = []) {
+    if (isProduction()) {
+        const [result] = await db.execute(sql, params);
+        return { insertId: result.insertId, changes: result.affectedRows };
+    }
+    const result = await db.run(sql, params);
+    return { insertId: result.lastID, changes: result.changes };
+}
+
+async function dbGet(sql, params = []) {
+    if (isProduction()) return (await db.execute(sql, params))[0][0];
+    return db.get(sql, params);
+}
+
+async function dbAll(sql, params = []) {
+    if (isProduction()) return (await db.execute(sql, params))[0];
+    return db.all(sql, params);
+}
+
+// PERSISTENCE: Writes one binned aggregate (plus its per-language split and optional time series/segments) and returns its id.
+async function saveAggregate(title, bins, { stats, redaction, access, lexicon, languages, unsupported, series, segments } = {}) {
+    const placeholders = BIN_COLUMNS.map(() => '?').join(', ');
+    const summary = stats.summary();
+    const extraColumns = [...Object.keys(SUMMARY_COLUMNS), ...Object.keys(AUDIT_COLUMNS), ...Object.keys(CATALOG_COLUMNS), ...Object.keys(ACCESS_COLUMNS), ...Object.keys(LEXICON_COLUMNS), ...Object.keys(LANGUAGE_COLUMNS)];
+    const { insertId } = await dbRun(
+        `INSERT INTO sentiment_aggregates (project_title, ${BIN_COLUMNS.join(', ')}, ${extraColumns.join(', ')}) VALUES (?, ${placeholders}, ${extraColumns.map(() => '?').join(', ')})`,
+        [title, ...bins,
+            summary.rowCount, summary.mean, summary.median, summary.stdDev,
+            summary.positiveShare, summary.neutralShare, summary.negativeShare,
+            summary.meanPos, summary.meanNeu, summary.meanNeg,
+            JSON.stringify(redaction.rules), JSON.stringify(redaction.counts),
+            sqlTimestamp(),
+            access.slug, access.visibility,
+            lexicon.name, lexicon.version,
+            JSON.stringify(unsupported)]
+    );
+
+    const languageSql = `INSERT INTO sentiment_languages (aggregate_id, language, row_count, mean_compound, std_compound, positive_share, neutral_share, negative_share, ${BIN_COLUMNS.join(', ')}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${placeholders})`;
+    for (const l of languages.toArray()) {
+        await dbRun(languageSql, [insertId, l.value, l.rowCount, l.mean, l.stdDev, l.positiveShare, l.neutralShare, l.negativeShare, ...l.bins]);
+    }
+
+    if (series) {
+        const sql = `INSERT INTO sentiment_timeseries (aggregate_id, granularity, period_start, row_count, mean_compound, positive_count, neutral_count, negative_count, ${BIN_COLUMNS.join(', ')}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${placeholders})`;
+        for (const p of series.toArray()) {
+            await dbRun(sql, [insertId, series.granularity, p.period, p.rowCount, p.meanCompound, p.positive, p.neutral, p.negative, ...p.bins]);
+        }
+    }
+
+    if (segments) {
+        const sql = `INSERT INTO sentiment_segments (aggregate_id, group_column, segment_value, is_other, row_count, mean_compound, std_compound, positive_share, neutral_share, negative_share, ${BIN_COLUMNS.join(', ')}) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${placeholders})`;
+        for (const g of segments.toArray()) {
+            await dbRun(sql, [insertId, segments.column, g.value, g.isOther ? 1 : 0, g.rowCount, g.mean, g.stdDev, g.positiveShare, g.neutralShare, g.negativeShare, ...g.bins]);
+        }
+    }
+    return insertId;
+}
+
+// INGEST REPORT: Per-upload row accounting. `truncated` rows were scored on their first INGEST_LIMITS.postChars characters.
+const createIngestReport = () => ({
+    rowsRead: 0, scored: 0, empty: 0, malformed: 0, truncated: 0, unsupported: 0, rowLimitReached: false
+});
+
+// ROW TRIAGE: Classifies one row's post into the report and returns the text to score ('' = skip).
+function triagePost(row, value, report) {
+    report.rowsRead++;
+    if (row[MALFORMED]) {
+        report.malformed++;
+        return { text: '' };
+    }
+    const text = value === undefined || value === null ? '' : String(value);
+    if (!text.trim()) {
+        report.empty++;
+        return { text: '' };
+    }
+    if (text.length > INGEST_LIMITS.postChars) {
+        report.truncated++;
+        return { text: text.slice(0, INGEST_LIMITS.postChars) };
+    }
+    return { text };
+}
+
+// QUALITY GATE: An error message when too few rows were usable to save an aggregate, otherwise null.
+function refuseIngest(report) {
+    const usable = report.rowsRead - report.empty - report.malformed;
+    if (!report.rowsRead) return 'The upload contained no data rows; no aggregate was saved.';
+    if (usable / report.rowsRead < MIN_USABLE_SHARE) {
+        return `Only ${usable} of ${report.rowsRead} rows had usable text (${report.empty} empty, ${report.malformed} malformed); no aggregate was saved.`;
+    }
+    if (!report.scored) return 'No rows were in a supported language; no aggregate was saved.';
+    return null;
+}
+
+// WORKER: Streams the uploaded dataset in the background and reports progress on the job.
+function runIngestJob(job, { filePath, input, postCol, title, dateCol, granularity, groupCol, groupLimit, piiRules, visibility, lexicon }) {
     const bins = new Array(11).fill(0);
-    const postCol = (req.body.post_column || 'post').toLowerCase();
-    const title = req.body.chart_title || 'New Analysis';
+    const stats = createStats({ trackMedian: true });
+    const redact = createRedactor(piiRules);
+    const redaction = { rules: piiRules, counts: {} };
+    const series = dateCol ? createSeries(granularity) : null;
+    const segments = groupCol ? createSegments(groupCol, groupLimit) : null;
+    const languages = createSegments('language', SUPPORTED_LANGUAGES.length);
+    const unsupported = {};
+    const report = createIngestReport();
+    let rowsProcessed = 0;
+    let rowsSkipped = 0;
+    let bytesRead = 0;
+    let finalizing = false;
+
+    const removeUpload = () => fs.unlink(filePath, () => {});
+    // METRICS: Every job counts once by final status; only a completed job's rows were saved, so only they count as ingested
+    job.events.once('done', ({ status }) => {
+        metrics.ingestJobs.inc({ status });
+        if (status !== 'completed') return;
+        metrics.rowsIngested.inc({ outcome: 'scored' }, rowsProcessed);
+        metrics.rowsIngested.inc({ outcome: 'skipped' }, rowsSkipped);
+    });
+    const { source, rows: stream } = openRowStream(filePath, { ...input, textColumn: postCol });
+
+    job.controller.signal.addEventListener('abort', () => {
+        source.destroy();
+        stream.destroy();
+        removeUpload();
+    }, { once: true });
+
+    const fail = (err) => {
+        logger.error("Ingest Job Failure", { jobId: job.id, error: err.message });
+        source.destroy();
+        removeUpload();
+        jobs.finishJob(job, 'failed', { error: 'Ingestion failed while processing the dataset.', result: { report } });
+    };
+    // Once the row limit stops the read, teardown errors from the destroyed streams are expected
+    const onStreamError = (err) => { if (!finalizing) fail(err); };
+
+    source.on('data', (chunk) => { bytesRead += chunk.length; });
+    source.on('error', onStreamError);
+    stream.on('error', onStreamError);
 
-    const stream = fs.createReadStream(req.file.path).pipe(csv());
     stream.on('data', (row) => {
+        if (finalizing) return;
+        if (report.rowsRead >= INGEST_LIMITS.rows) {
+            report.rowLimitReached = true;
+            source.destroy();
+            stream.destroy();
+            return finalize();
+        }
+
         const normalized = Object.keys(row).reduce((acc, k) => { acc[k.toLowerCase()] = row[k]; return acc; }, {});
-        const text = normalized[postCol] || '';
-        const score = analyzeText(text).score;
-        const binIndex = Math.min(10, Math.max(0, Math.round((score + 1) * 5)));
-        bins[binIndex]++;
-    });
+        const post = triagePost(row, normalized[postCol], report);
 
-    stream.on('end', async () => {
-        const sql = `INSERT INTO sentiment_aggregates (project_title, bin_n1_0, bin_n0_8, bin_n0_6, bin_n0_4, bin_n0_2, bin_0_0, bin_p0_2, bin_p0_4, bin_p0_6, bin_p0_8, bin_p1_0) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-        const params = [title, ...bins];
-        let insertId;
+        const analysis = post.text ? analyzeText(post.text, redact, lexicon.entries) : null;
+        if (analysis) mergeCounts(redaction.counts, analysis.redactions);
 
-        if (process.env.DB_HOST && process.env.DB_HOST !== '127.0.0.1') {
-            const [res] = await db.execute(sql, params);
-            insertId = res.insertId;
+        if (!analysis || !analysis.supported) {
+            rowsSkipped++;
+            if (analysis) {
+                report.unsupported++;
+                unsupported[analysis.language] = (unsupported[analysis.language] || 0) + 1;
+            }
         } else {
-            const res = await db.run(sql, params);
-            insertId = res.lastID;
+            const score = analysis.score;
+            const binIndex = toBinIndex(score);
+            bins[binIndex]++;
+            stats.add(score, analysis);
+            languages.add(analysis.language, score, binIndex);
+            if (series) series.add(normalized[dateCol], score, binIndex);
+            if (segments) segments.add(normalized[groupCol], score, binIndex);
+            rowsProcessed++;
+            report.scored++;
+        }
+        jobs.reportProgress(job, { rowsProcessed, rowsSkipped, bytesRead });
+    });
+
+    const finalize = async () => {
+        if (finalizing || jobs.isTerminal(job)) return;
+        finalizing = true;
+
+        const refusal = refuseIngest(report);
+        if (refusal) {
+            removeUpload();
+            jobs.finishJob(job, 'failed', { rowsProcessed, rowsSkipped, bytesRead, error: refusal, result: { report } });
+            return;
+        }
+
+        try {
+            // A date column that never parsed yields no series rather than an empty one
+            const datedSeries = series && series.toArray().length ? series : null;
+            const access = { slug: generateSlug(), visibility };
+            const id = await saveAggregate(title, bins, { stats, redaction, access, lexicon, languages, unsupported, series: datedSeries, segments });
+            jobs.finishJob(job, 'completed', {
+                rowsProcessed, rowsSkipped, bytesRead,
+                aggregateId: id,
+                result: {
+                    id, bins,
+                    slug: access.slug,
+                    visibility,
+                    lexicon: { name: lexicon.name, version: lexicon.version },
+                    report,
+                    languages: Object.fromEntries(languages.toArray().map(l => [l.value, l.rowCount])),
+                    unsupported,
+                    summary: stats.summary(),
+                    redaction,
+                    timeseries: datedSeries
+                        ? { granularity: datedSeries.granularity, periods: datedSeries.toArray().length, undatedRows: datedSeries.undated }
+                        : null,
+                    segments: segments ? segments.toArray().length : 0
+                }
+            });
+        } catch (err) {
+            fail(err);
+        } finally {
+            removeUpload();
+        }
+    };
+    stream.on('end', finalize);
+}
+
+// CSV SERIALIZATION: RFC 4180 quoting for one output row.
+const toCsvLine = (values) => values.map(v => {
+    const cell = v === null || v === undefined ? '' : String(v);
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}).join(',') + '\n';
+
+// SCORED OUTPUT: Streams the upload back as an annotated CSV (whatever the input format). Nothing is
+// persisted; stream.pipeline() applies backpressure end to end, so memory stays flat on large files.
+// JSON and NDJSON records may add fields after the first one, so their header is the union of every
+// record's keys, collected in one extra read before the output starts.
+async function streamScoredCsv(res, { filePath, input, postCol, piiRules, lexicon }) {
+    let columns = null;
+    if (RECORD_FORMATS.includes(input.format)) {
+        try {
+            columns = await sniffColumns(filePath, { ...input, textColumn: postCol, sampleRows: INGEST_LIMITS.rows });
+        } catch (err) {
+            fs.unlink(filePath, () => {});
+            return res.status(400).json({ error: `The upload could not be read as ${input.format}: ${err.message}` });
+        }
+    }
+
+    const redact = createRedactor(piiRules);
+    const { source, rows } = openRowStream(filePath, { ...input, textColumn: postCol });
+    const report = createIngestReport();
+    const findPost = (names) => names.find(name => name.toLowerCase() === postCol) || '';
+    let headers = columns || [];
+    let postHeader = findPost(headers);
+    let headerWritten = false;
+
+    rows.once('headers', (h) => {
+        if (columns) return;
+        headers = h;
+        postHeader = findPost(h);
+    });
+
+    const annotate = new Transform({
+        writableObjectMode: true,
+        transform(row, _encoding, done) {
+            if (!headerWritten) {
+                headerWritten = true;
+                this.push(toCsvLine([...headers, ...SCORED_COLUMNS]));
+            }
+
+            // Past the row limit the rest of the upload is dropped, as in the background job
+            if (report.rowsRead >= INGEST_LIMITS.rows) {
+                if (!this.writableEnding) stopReading();
+                return done();
+            }
+
+            const { text } = triagePost(row, row[postHeader], report);
+            const analysis = text ? analyzeText(text, redact, lexicon.entries) : null;
+            // Counted as in the background job: empty and unsupported rows are skipped
+            metrics.rowsIngested.inc({ outcome: analysis && analysis.supported ? 'scored' : 'skipped' });
+            if (!analysis) return done(null, toCsvLine([...headers.map(h => row[h]), '', '', '', '', '', '']));
+
+            const cells = headers.map(h => (h === postHeader ? analysis.redacted : row[h]));
+            // Unsupported languages keep their language tag but get no scores
+            if (!analysis.supported) return done(null, toCsvLine([...cells, analysis.language, '', '', '', '', '']));
+            done(null, toCsvLine([...cells, analysis.language, analysis.score, analysis.pos, analysis.neu, analysis.neg, toBinIndex(analysis.score)]));
+        },
+        flush(done) {
+            // A header-only upload still yields a well-formed (empty) annotated file
+            done(null, headerWritten ? undefined : toCsvLine([...headers, ...SCORED_COLUMNS]));
+        }
+    });
+
+    res.attachment(`scored-${Date.now()}.csv`);
+    res.type('text/csv');
+
+    // rows is piped by hand so the row limit can end the output cleanly instead of aborting it
+    const stopReading = () => {
+        rows.unpipe(annotate);
+        rows.destroy();
+        source.destroy();
+        annotate.end();
+    };
+    rows.on('error', (err) => annotate.destroy(err));
+    rows.pipe(annotate);
+
+    pipeline(annotate, res, (err) => {
+        rows.destroy();
+        source.destroy();
+        fs.unlink(filePath, () => {});
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') logger.error("Scored Output Failure", { error: err.message });
+    });
+}
+
+// LOOKUP: A stored lexicon profile (latest version unless one is given) as { name, version, entries }, or null.
+// The stock lexicon resolves to { name: 'vader', version: null } with no entries.
+async function loadLexicon(name, version = null) {
+    if (!name || name === BUILTIN_LEXICON) return { name: BUILTIN_LEXICON, version: null, entries: null };
+
+    const row = version === null
+        ? await dbGet('SELECT name, version, entries FROM lexicon_profiles WHERE name = ? ORDER BY version DESC LIMIT 1', [name])
+        : await dbGet('SELECT name, version, entries FROM lexicon_profiles WHERE name = ? AND version = ?', [name, version]);
+    if (!row) return null;
+    return { name: row.name, version: row.version, entries: new Map(Object.entries(JSON.parse(row.entries))) };
+}
+
+// INPUT: Resolves the uploaded file, or saves pasted text to uploads/ so every format streams from disk.
+// Returns { filePath, size, filename } or null when nothing was sent.
+async function receiveInput(req, options) {
+    const file = (req.files && (req.files.data_file || req.files.csv_file) || [])[0];
+    if (file) return { filePath: file.path, size: file.size, filename: file.originalname };
+
+    const text = typeof req.body === 'string' ? req.body : options.text;
+    if (typeof text !== 'string' || !text.trim()) return null;
+    const filePath = path.join('uploads', `paste-${crypto.randomBytes(12).toString('hex')}`);
+    await fs.promises.writeFile(filePath, text);
+    return { filePath, size: Buffer.byteLength(text), filename: '', pasted: true };
+}
+
+// FORMAT: An explicit format/delimiter wins; otherwise both are sniffed from the name and first bytes.
+// Pasted text is one post per line unless it looks like JSON (commas in prose are not a CSV).
+async function resolveInputFormat({ filePath, filename, pasted }, options) {
+    const requested = (options.format || 'auto').toLowerCase();
+    if (requested !== 'auto' && !INPUT_FORMATS.includes(requested)) {
+        throw new Error(`format must be auto or one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+
+    const handle = await fs.promises.open(filePath, 'r');
+    let head;
+    try {
+        const { bytesRead, buffer } = await handle.read(Buffer.alloc(4096), 0, 4096, 0);
+        head = buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    const encoding = options.encoding ? resolveEncoding(options.encoding) : detectEncoding(head);
+    let detected = detectFormat(filename, head, encoding);
+
+    if (pasted && ['csv', 'tsv'].includes(detected.format)) detected = { format: 'text', delimiter: null };
+    const format = requested === 'auto' ? detected.format : requested;
+    let delimiter = format === 'tsv' ? '\t' : (format === 'csv' ? detected.delimiter || ',' : null);
+    if (options.delimiter && format === 'csv') delimiter = resolveDelimiter(options.delimiter);
+    return { format, delimiter, encoding: format === 'xlsx' ? null : encoding };
+}
+
+// UPLOAD: Multipart file/fields or a raw text/plain body, with size and type failures reported as JSON.
+const ingestUpload = upload.fields([{ name: 'data_file', maxCount: 1 }, { name: 'csv_file', maxCount: 1 }]);
+const textBody = express.text({ limit: INGEST_LIMITS.fileBytes });
+function receiveUpload(req, res, next) {
+    const handle = (err) => {
+        if (!err) return next();
+        if (['LIMIT_FILE_SIZE', 'LIMIT_FIELD_VALUE'].includes(err.code) || err.type === 'entity.too.large') {
+            return res.status(413).json({ error: `Upload exceeds ${Math.round(INGEST_LIMITS.fileBytes / 10485.76) / 100} MB.` });
+        }
+        if (err.code === 'UNSUPPORTED_TYPE') {
+            return res.status(415).json({ error: `${err.message}. Upload CSV, TSV, NDJSON, JSON, XLSX or plain text.` });
+        }
+        if (err instanceof multer.MulterError) return res.status(400).json({ error: err.message });
+        next(err);
+    };
+    ingestUpload(req, res, (err) => (err ? handle(err) : textBody(req, res, handle)));
+}
+
+// OPTIONS: Text options must arrive once, as strings. A repeated multipart field or query
+// parameter arrives as an array, and a JSON body may hold any type.
+const TEXT_OPTIONS = ['format', 'encoding', 'delimiter', 'post_column', 'chart_title', 'date_column', 'granularity', 'group_column', 'visibility', 'lexicon'];
+function checkTextOptions(options) {
+    const invalid = TEXT_OPTIONS.find(name => options[name] !== undefined && options[name] !== null && typeof options[name] !== 'string');
+    if (invalid) throw new Error(`${invalid} must be a single text value`);
+}
+
+// PRE-FLIGHT: Lists the upload's columns and names the requested ones it lacks.
+async function checkColumns(filePath, input, required) {
+    const columns = await sniffColumns(filePath, { ...input, textColumn: required[0] });
+    const present = columns.map(c => c.toLowerCase());
+    return { columns, missing: required.filter(c => c && !present.includes(c)) };
+}
+
+// ROUTE: INGEST (/api/sentiment-pipeline/ingest)
+// Returns a job id immediately; the dataset is processed in the background.
+// Accepts a file (data_file, or the legacy csv_file) in CSV/TSV/NDJSON/JSON/XLSX/text, a pasted `text`
+// field, or a raw text/plain body (options then go in the query string). format=auto sniffs the input.
+// The post (and group) columns are checked before the job starts; a 400 lists the columns that exist.
+// With scored_output=true the annotated CSV is streamed back instead and no aggregate is saved.
+// lexicon (+ optional lexicon_version) selects a custom lexicon profile; the default is stock VADER.
+router.post('/ingest', requireApiKey, receiveUpload, async (req, res) => {
+    const options = typeof req.body === 'string' || !req.body ? req.query : req.body;
+    const received = await receiveInput(req, options);
+    if (!received) return res.status(400).json({ error: 'No data attached (field: data_file or csv_file, or pasted text).' });
+
+    // The upload belongs to this handler until a job or the scored stream takes it over
+    let handedOff = false;
+    const reject = (status, error, extra = {}) => res.status(status).json({ error, ...extra });
+
+    try {
+        let piiRules;
+        let input;
+        try {
+            checkTextOptions(options);
+            piiRules = resolveRules(options.pii_rules, defaultRules('sentiment'));
+            input = await resolveInputFormat(received, options);
+        } catch (err) {
+            return reject(400, err.message);
+        }
+
+        const postCol = normalizeSelector(options.post_column || 'post');
+        const title = options.chart_title || 'New Analysis';
+        const dateCol = options.date_column && options.date_column.trim() ? normalizeSelector(options.date_column) : null;
+        const granularity = options.granularity || 'day';
+        const groupCol = options.group_column && options.group_column.trim() ? normalizeSelector(options.group_column) : null;
+        const groupLimit = options.group_limit ? Number(options.group_limit) : DEFAULT_SEGMENT_LIMIT;
+
+        const visibility = options.visibility || 'unlisted';
+        if (!VISIBILITIES.includes(visibility)) {
+            return reject(400, `visibility must be one of: ${VISIBILITIES.join(', ')}`);
+        }
+        if (dateCol && !GRANULARITIES.includes(granularity)) {
+            return reject(400, `granularity must be one of: ${GRANULARITIES.join(', ')}`);
+        }
+        if (groupCol && !(Number.isInteger(groupLimit) && groupLimit >= 1 && groupLimit <= MAX_SEGMENT_LIMIT)) {
+            return reject(400, `group_limit must be an integer between 1 and ${MAX_SEGMENT_LIMIT}`);
+        }
+
+        const lexiconName = options.lexicon ? options.lexicon.trim().toLowerCase() : BUILTIN_LEXICON;
+        const lexiconVersion = options.lexicon_version ? Number(options.lexicon_version) : null;
+        if (lexiconVersion !== null && !(Number.isInteger(lexiconVersion) && lexiconVersion >= 1)) {
+            return reject(400, 'lexicon_version must be a positive integer');
+        }
+        const lexicon = await loadLexicon(lexiconName, lexiconVersion);
+        if (!lexicon) {
+            return reject(400, `Unknown lexicon: ${lexiconName}${lexiconVersion ? ` v${lexiconVersion}` : ''}`);
+        }
+
+        const { filePath } = received;
+        let preflight;
+        try {
+            preflight = await checkColumns(filePath, input, [postCol, groupCol]);
+        } catch (err) {
+            return reject(400, `The upload could not be read as ${input.format}: ${err.message}`);
+        }
+        if (!preflight.columns.length) return reject(400, 'The upload contains no columns or rows.', { columns: [] });
+        if (preflight.missing.length) {
+            return reject(400, `Column not found: ${preflight.missing.join(', ')}`, { columns: preflight.columns });
         }
-        res.json({ success: true, id: insertId, bins });
-        fs.unlinkSync(req.file.path);
+
+        handedOff = true;
+        if (['true', '1', 'on'].includes(String(options.scored_output).toLowerCase())) {
+            return streamScoredCsv(res, { filePath, input, postCol, piiRules, lexicon });
+        }
+
+        const job = jobs.createJob({ title, bytesTotal: received.size });
+        runIngestJob(job, { filePath, input, postCol, title, dateCol, granularity, groupCol, groupLimit, piiRules, visibility, lexicon });
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            format: input.format,
+            statusUrl: `/api/sentiment-pipeline/jobs/${job.id}`,
+            eventsUrl: `/api/sentiment-pipeline/jobs/${job.id}/events`
+        });
+    } finally {
+        if (!handedOff) fs.unlink(received.filePath, () => {});
+    }
+});
+
+// ROUTE: HEADER SNIFF (/api/sentiment-pipeline/ingest/columns)
+// Same inputs as /ingest; reads only the first rows and returns the detected format and column names
+// for the column picker. The upload is discarded, so the browser may send just the head of a large file.
+router.post('/ingest/columns', requireApiKey, receiveUpload, async (req, res) => {
+    const options = typeof req.body === 'string' || !req.body ? req.query : req.body;
+    const received = await receiveInput(req, options);
+    if (!received) return res.status(400).json({ error: 'No data attached (field: data_file or csv_file, or pasted text).' });
+
+    try {
+        checkTextOptions(options);
+        const input = await resolveInputFormat(received, options);
+        const { columns } = await checkColumns(received.filePath, input, [normalizeSelector(options.post_column || 'post')]);
+        res.json({ ...input, columns });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    } finally {
+        fs.unlink(received.filePath, () => {});
+    }
+});
+
+// ROUTE: JOB STATUS (/api/sentiment-pipeline/jobs/:id)
+router.get('/jobs/:id', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(jobs.snapshot(job));
+});
+
+// ROUTE: JOB EVENTS (/api/sentiment-pipeline/jobs/:id/events) - Server-Sent Events
+router.get('/jobs/:id/events', (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disables proxy buffering (nginx) so events arrive live
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    if (jobs.isTerminal(job)) {
+        send('done', jobs.snapshot(job));
+        return res.end();
+    }
+
+    const onProgress = (data) => send('progress', data);
+    const onDone = (data) => { send('done', data); res.end(); };
+
+    send('progress', jobs.snapshot(job));
+    job.events.on('progress', onProgress);
+    job.events.once('done', onDone);
+
+    req.on('close', () => {
+        job.events.off('progress', onProgress);
+        job.events.off('done', onDone);
+    });
+});
+
+// ROUTE: CANCEL JOB (/api/sentiment-pipeline/jobs/:id/cancel)
+router.post('/jobs/:id/cancel', requireApiKey, (req, res) => {
+    const job = jobs.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!jobs.cancelJob(job)) return res.status(409).json({ error: `Job already ${job.status}`, job: jobs.snapshot(job) });
+    res.json({ success: true, job: jobs.snapshot(job) });
+});
+
+// LOOKUP: The /display/:id row shape (aggregate columns plus parsed audit fields and segments), or null.
+async function loadAggregate(id) {
+    const row = await dbGet('SELECT * FROM sentiment_aggregates WHERE id = ?', [id]);
+    if (!row) return null;
+
+    const segments = await dbAll('SELECT * FROM sentiment_segments WHERE aggregate_id = ? ORDER BY is_other, row_count DESC', [row.id]);
+    const languages = await dbAll('SELECT * FROM sentiment_languages WHERE aggregate_id = ? ORDER BY row_count DESC', [row.id]);
+    return {
+        ...row,
+        redaction_rules: row.redaction_rules ? JSON.parse(row.redaction_rules) : null,
+        redaction_counts: row.redaction_counts ? JSON.parse(row.redaction_counts) : null,
+        unsupported_languages: row.unsupported_languages ? JSON.parse(row.unsupported_languages) : null,
+        // Empty for aggregates scored before language detection (all rows went through English VADER)
+        languages: languages.map(l => ({
+            value: l.language,
+            row_count: l.row_count,
+            mean_compound: l.mean_compound,
+            std_compound: l.std_compound,
+            positive_share: l.positive_share,
+            neutral_share: l.neutral_share,
+            negative_share: l.negative_share,
+            bins: rowBins(l)
+        })),
+        group_column: segments.length ? segments[0].group_column : null,
+        segments: segments.map(g => ({
+            value: g.segment_value,
+            is_other: Boolean(g.is_other),
+            row_count: g.row_count,
+            mean_compound: g.mean_compound,
+            std_compound: g.std_compound,
+            positive_share: g.positive_share,
+            neutral_share: g.neutral_share,
+            negative_share: g.negative_share,
+            bins: rowBins(g)
+        }))
+    };
+}
+
+// ACCESS: Resolves an embed reference (slug, or numeric id for public analyses) to an aggregate id.
+// Unlisted analyses need the slug; private ones need the slug plus a valid signed token.
+// Denials are reported as "not found" so the existence of an analysis is never disclosed.
+async function resolveEmbedRef(ref, token) {
+    const byId = /^\d+$/.test(ref);
+    const row = await dbGet(
+        `SELECT id, public_slug, visibility FROM sentiment_aggregates WHERE ${byId ? 'id' : 'public_slug'} = ?`,
+        [ref]
+    );
+    if (!row) return null;
+    if (row.visibility === 'public') return row.id;
+    if (row.visibility === 'unlisted' && !byId) return row.id;
+    if (row.visibility === 'private' && !byId && verifyEmbedToken(token, row.public_slug)) return row.id;
+    return null;
+}
+
+// ROUTE: DISPLAY (/api/sentiment-pipeline/display/:ref[?token=...])
+router.get('/display/:ref', async (req, res) => {
+    const id = await resolveEmbedRef(req.params.ref, req.query.token);
+    const aggregate = id && await loadAggregate(id);
+
+    if (!aggregate) return res.status(404).json({ error: 'Record not found' });
+    res.json(aggregate);
+});
+
+// ROUTE: EXPORT (/api/sentiment-pipeline/export/:ref?format=csv|json|svg|png[&token=...])
+router.get('/export/:ref', async (req, res) => {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const id = await resolveEmbedRef(req.params.ref, req.query.token);
+    const aggregate = id && await loadAggregate(id);
+    if (!aggregate) return res.status(404).json({ error: 'Record not found' });
+
+    const bins = rowBins(aggregate);
+    const total = bins.reduce((a, b) => a + b, 0);
+    const table = bins.map((count, i) => ({
+        label: BIN_LABELS[i],
+        lower: Math.max(-1, Math.round((i - 0.5) * 2 - 10) / 10),
+        upper: Math.min(1, Math.round((i + 0.5) * 2 - 10) / 10),
+        count,
+        share: total ? count / total : 0
+    }));
+    res.attachment(`sentiment-${aggregate.id}.${format}`);
+
+    if (format === 'json') {
+        const { id, project_title, lexicon_name, lexicon_version } = aggregate;
+        const summary = Object.fromEntries(Object.keys(SUMMARY_COLUMNS).map(c => [c, aggregate[c]]));
+        return res.json({
+            id, project_title,
+            lexicon: { name: lexicon_name, version: lexicon_version },
+            bins: table, summary,
+            redaction_counts: aggregate.redaction_counts,
+            languages: aggregate.languages,
+            unsupported_languages: aggregate.unsupported_languages,
+            segments: aggregate.segments
+        });
+    }
+
+    if (format === 'csv') {
+        const lines = ['bin_label,bin_lower,bin_upper,count,share'];
+        for (const b of table) lines.push([b.label, b.lower.toFixed(1), b.upper.toFixed(1), b.count, b.share.toFixed(6)].join(','));
+        return res.type('text/csv').send(lines.join('\n') + '\n');
+    }
+
+    const footer = aggregate.row_count !== null && aggregate.row_count !== undefined
+        ? `n = ${aggregate.row_count}  ·  mean = ${aggregate.mean_compound.toFixed(3)}  ·  median = ${aggregate.median_compound.toFixed(3)}  ·  SD = ${aggregate.std_compound.toFixed(3)}`
+        : null;
+    const svg = renderDistributionSvg({ title: aggregate.project_title || `Analysis ${aggregate.id}`, bins, footer });
+
+    if (format === 'svg') return res.type('image/svg+xml').send(svg);
+    res.type('image/png').send(svgToPng(svg));
+});
+
+// ROUTE: COMPARE (/api/sentiment-pipeline/compare?ids=<ref>,<ref>[,...][&tokens=<t>,<t>,...])
+// Normalized distributions, pairwise mean differences, chi-square homogeneity and KS-style distances.
+// Refs follow the display rules; private analyses need a token in the matching position of `tokens`.
+router.get('/compare', async (req, res) => {
+    const refs = String(req.query.ids || '').split(',').map(s => s.trim());
+    const tokens = String(req.query.tokens || '').split(',').map(s => s.trim());
+    if (refs.some(r => !r) || new Set(refs).size !== refs.length || refs.length < 2 || refs.length > MAX_COMPARE) {
+        return res.status(400).json({ error: `ids must list between 2 and ${MAX_COMPARE} distinct analyses` });
+    }
+
+    const aggregates = [];
+    for (const [i, ref] of refs.entries()) {
+        const id = await resolveEmbedRef(ref, tokens[i]);
+        const aggregate = id && await loadAggregate(id);
+        if (!aggregate) return res.status(404).json({ error: `Record not found: ${ref}` });
+        if (aggregates.some(a => a.id === aggregate.id)) return res.status(400).json({ error: `Analysis listed twice: ${ref}` });
+        aggregates.push(aggregate);
+    }
+
+    const analyses = aggregates.map(a => {
+        const bins = rowBins(a);
+        const storedMean = a.mean_compound !== null && a.mean_compound !== undefined;
+        return {
+            id: a.id,
+            slug: a.public_slug,
+            project_title: a.project_title,
+            lexicon: { name: a.lexicon_name, version: a.lexicon_version },
+            row_count: bins.reduce((x, y) => x + y, 0),
+            mean_compound: storedMean ? a.mean_compound : binnedMean(bins),
+            mean_source: storedMean ? 'rows' : 'bins',
+            bins,
+            distribution: normalize(bins)
+        };
     });
+
+    const pairwise = [];
+    for (let i = 0; i < analyses.length; i++) {
+        for (let j = i + 1; j < analyses.length; j++) {
+            const a = analyses[i];
+            const b = analyses[j];
+            pairwise.push({
+                a: a.id,
+                b: b.id,
+                mean_difference: a.mean_compound === null || b.mean_compound === null ? null : b.mean_compound - a.mean_compound,
+                chi_square: chiSquareTest([a.bins, b.bins]),
+                ...ksTest(a.bins, b.bins)
+            });
+        }
+    }
+
+    res.json({ analyses, chi_square: chiSquareTest(analyses.map(a => a.bins)), pairwise });
 });
 
-// ROUTE: DISPLAY (/api/sentiment-pipeline/display/:id)
-router.get('/display/:id', async (req, res) => {
-    const sql = 'SELECT * FROM sentiment_aggregates WHERE id = ?';
-    let row = (process.env.DB_HOST && process.env.DB_HOST !== '127.0.0.1') 
-              ? (await db.execute(sql, [req.params.id]))[0][0] 
-              : await db.get(sql, [req.params.id]);
+// ROUTE: CATALOG (/api/sentiment-pipeline/analyses)
+// Lists and searches saved aggregates. Query: q (title contains), from/to (YYYY-MM-DD, inclusive),
+// sort (created_at|title|id|row_count|mean), order (asc|desc), page (1-based), per_page (max 100).
+router.get('/analyses', requireApiKey, async (req, res) => {
+    const sort = CATALOG_SORTS[req.query.sort || 'created_at'];
+    const order = String(req.query.order || 'desc').toLowerCase();
+    const page = Number(req.query.page || 1);
+    const perPage = Number(req.query.per_page || 20);
+    const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v);
 
+    if (!sort) return res.status(400).json({ error: `sort must be one of: ${Object.keys(CATALOG_SORTS).join(', ')}` });
+    if (!['asc', 'desc'].includes(order)) return res.status(400).json({ error: 'order must be asc or desc' });
+    if (!Number.isInteger(page) || page < 1) return res.status(400).json({ error: 'page must be a positive integer' });
+    if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PAGE_SIZE) {
+        return res.status(400).json({ error: `per_page must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+    if ((req.query.from && !isDate(req.query.from)) || (req.query.to && !isDate(req.query.to))) {
+        return res.status(400).json({ error: 'from/to must be dates formatted YYYY-MM-DD' });
+    }
+
+    const where = [];
+    const params = [];
+    if (req.query.q) {
+        // '!' escapes LIKE wildcards identically in SQLite and MySQL
+        where.push("project_title LIKE ? ESCAPE '!'");
+        params.push(`%${String(req.query.q).replace(/[!%_]/g, c => '!' + c)}%`);
+    }
+    if (req.query.from) {
+        where.push('created_at >= ?');
+        params.push(`${req.query.from} 00:00:00`);
+    }
+    if (req.query.to) {
+        where.push('created_at <= ?');
+        params.push(`${req.query.to} 23:59:59`);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+    const { total } = await dbGet(`SELECT COUNT(*) AS total FROM sentiment_aggregates ${whereSql}`, params);
+    // LIMIT/OFFSET are validated integers; inlined because mysql2 prepared statements reject bound LIMIT values
+    const items = await dbAll(
+        `SELECT id, public_slug, visibility, project_title, created_at, row_count, mean_compound, lexicon_name, lexicon_version FROM sentiment_aggregates ${whereSql}
+         ORDER BY ${sort} ${order.toUpperCase()}, id ${order.toUpperCase()} LIMIT ${perPage} OFFSET ${(page - 1) * perPage}`,
+        params
+    );
+
+    res.json({ items, page, per_page: perPage, total: Number(total), pages: Math.ceil(total / perPage) });
+});
+
+// ROUTE: RENAME (/api/sentiment-pipeline/analyses/:id)
+router.patch('/analyses/:id', requireApiKey, async (req, res) => {
+    const title = typeof req.body.project_title === 'string' ? req.body.project_title.trim() : '';
+    if (!title) return res.status(400).json({ error: 'project_title is required' });
+    if (title.length > 255) return res.status(400).json({ error: 'project_title must be 255 characters or fewer' });
+
+    const { changes } = await dbRun('UPDATE sentiment_aggregates SET project_title = ? WHERE id = ?', [title, req.params.id]);
+    if (!changes) return res.status(404).json({ error: 'Record not found' });
+    res.json({ success: true, id: Number(req.params.id), project_title: title });
+});
+
+// ROUTE: VISIBILITY (/api/sentiment-pipeline/analyses/:id/visibility)
+router.patch('/analyses/:id/visibility', requireApiKey, async (req, res) => {
+    const { visibility } = req.body;
+    if (!VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ error: `visibility must be one of: ${VISIBILITIES.join(', ')}` });
+    }
+
+    const { changes } = await dbRun('UPDATE sentiment_aggregates SET visibility = ? WHERE id = ?', [visibility, req.params.id]);
+    if (!changes) return res.status(404).json({ error: 'Record not found' });
+    res.json({ success: true, id: Number(req.params.id), visibility });
+});
+
+// ROUTE: EMBED TOKEN (/api/sentiment-pipeline/analyses/:id/tokens) - signed, expiring access to a private analysis
+router.post('/analyses/:id/tokens', requireApiKey, async (req, res) => {
+    const ttl = req.body.expires_in === undefined ? DEFAULT_TOKEN_TTL_SECONDS : Number(req.body.expires_in);
+    if (!Number.isInteger(ttl) || ttl < 60 || ttl > MAX_TOKEN_TTL_SECONDS) {
+        return res.status(400).json({ error: `expires_in must be an integer number of seconds between 60 and ${MAX_TOKEN_TTL_SECONDS}` });
+    }
+
+    const row = await dbGet('SELECT id, public_slug, visibility FROM sentiment_aggregates WHERE id = ?', [req.params.id]);
     if (!row) return res.status(404).json({ error: 'Record not found' });
-    res.json(row);
+
+    const { token, expiresAt } = signEmbedToken(row.public_slug, ttl);
+    res.json({
+        token,
+        expires_at: expiresAt,
+        visibility: row.visibility,
+        embed_path: `/sentiment-pipeline/display.html?a=${row.public_slug}&token=${encodeURIComponent(token)}`
+    });
+});
+
+// ROUTE: DELETE (/api/sentiment-pipeline/analyses/:id) - removes the aggregate and its series/segments/languages
+router.delete('/analyses/:id', requireApiKey, async (req, res) => {
+    const { changes } = await dbRun('DELETE FROM sentiment_aggregates WHERE id = ?', [req.params.id]);
+    if (!changes) return res.status(404).json({ error: 'Record not found' });
+
+    await dbRun('DELETE FROM sentiment_timeseries WHERE aggregate_id = ?', [req.params.id]);
+    await dbRun('DELETE FROM sentiment_segments WHERE aggregate_id = ?', [req.params.id]);
+    await dbRun('DELETE FROM sentiment_languages WHERE aggregate_id = ?', [req.params.id]);
+    res.json({ success: true, id: Number(req.params.id) });
+});
+
+// ROUTE: TIME SERIES (/api/sentiment-pipeline/timeseries/:ref[?token=...])
+router.get('/timeseries/:ref', async (req, res) => {
+    const id = await resolveEmbedRef(req.params.ref, req.query.token);
+    const aggregate = id && await dbGet('SELECT id, project_title FROM sentiment_aggregates WHERE id = ?', [id]);
+    if (!aggregate) return res.status(404).json({ error: 'Record not found' });
+
+    const rows = await dbAll('SELECT * FROM sentiment_timeseries WHERE aggregate_id = ? ORDER BY period_start', [id]);
+    res.json({
+        id: aggregate.id,
+        project_title: aggregate.project_title,
+        granularity: rows.length ? rows[0].granularity : null,
+        series: rows.map(r => ({
+            period: r.period_start,
+            row_count: r.row_count,
+            mean_compound: r.mean_compound,
+            positive_count: r.positive_count,
+            neutral_count: r.neutral_count,
+            negative_count: r.negative_count,
+            bins: rowBins(r)
+        }))
+    });
+});
+
+// ROUTE: LEXICON UPLOAD (/api/sentiment-pipeline/lexicons)
+// Multipart: name + lexicon_file (.json or .csv with word,valence columns). Profiles are immutable;
+// uploading under an existing name adds the next version so earlier analyses stay reproducible.
+router.post('/lexicons', requireApiKey, (req, res, next) => lexiconUpload.single('lexicon_file')(req, res, (err) => {
+    if (err && err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'Lexicon file exceeds 2 MB.' });
+    next(err);
+}), async (req, res) => {
+    const name = String(req.body.name || '').trim().toLowerCase();
+    if (!LEXICON_NAME.test(name)) {
+        return res.status(400).json({ error: 'name must be 1-64 characters: lowercase letters, digits, "-" or "_"' });
+    }
+    if (name === BUILTIN_LEXICON) return res.status(400).json({ error: `"${BUILTIN_LEXICON}" is reserved for the stock lexicon` });
+    if (!req.file) return res.status(400).json({ error: 'No lexicon file attached (field: lexicon_file).' });
+
+    const format = /\.json$/i.test(req.file.originalname) || req.file.mimetype === 'application/json' ? 'json' : 'csv';
+    let entries;
+    try {
+        entries = await parseLexicon(req.file.buffer, format);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const { latest } = await dbGet('SELECT MAX(version) AS latest FROM lexicon_profiles WHERE name = ?', [name]);
+    const version = (latest || 0) + 1;
+    const createdAt = sqlTimestamp();
+    try {
+        await dbRun(
+            'INSERT INTO lexicon_profiles (name, version, entry_count, entries, created_at) VALUES (?, ?, ?, ?, ?)',
+            [name, version, entries.size, JSON.stringify(Object.fromEntries(entries)), createdAt]
+        );
+    } catch (err) {
+        // Two simultaneous uploads raced for the same version number
+        return res.status(409).json({ error: 'Another version of this lexicon was just saved; retry the upload.' });
+    }
+    res.status(201).json({ success: true, name, version, entry_count: entries.size, created_at: createdAt });
+});
+
+// ROUTE: LEXICON LIST (/api/sentiment-pipeline/lexicons) - one row per profile with its latest version
+router.get('/lexicons', requireApiKey, async (req, res) => {
+    const items = await dbAll(
+        'SELECT name, MAX(version) AS latest_version, COUNT(*) AS versions, MAX(created_at) AS updated_at FROM lexicon_profiles GROUP BY name ORDER BY name'
+    );
+    res.json({ builtin: BUILTIN_LEXICON, items: items.map(i => ({ ...i, versions: Number(i.versions) })) });
+});
+
+// ROUTE: LEXICON VERSIONS (/api/sentiment-pipeline/lexicons/:name)
+router.get('/lexicons/:name', requireApiKey, async (req, res) => {
+    const versions = await dbAll('SELECT version, entry_count, created_at FROM lexicon_profiles WHERE name = ? ORDER BY version DESC', [req.params.name]);
+    if (!versions.length) return res.status(404).json({ error: 'Lexicon not found' });
+    res.json({ name: req.params.name, versions });
+});
+
+// ROUTE: LEXICON ENTRIES (/api/sentiment-pipeline/lexicons/:name/:version) - the exact word valences of one version
+router.get('/lexicons/:name/:version', requireApiKey, async (req, res) => {
+    const version = Number(req.params.version);
+    const lexicon = Number.isInteger(version) && version >= 1 && req.params.name !== BUILTIN_LEXICON
+        ? await loadLexicon(req.params.name, version)
+        : null;
+    if (!lexicon) return res.status(404).json({ error: 'Lexicon not found' });
+    res.json({ name: lexicon.name, version: lexicon.version, entries: Object.fromEntries(lexicon.entries) });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -7,27 +7,44 @@
  * * ARCHITECTURAL LOGIC:
  * Mirrored from Python/PHP versions to ensure cross-stack parity.
  * Uses deterministic temperature (0.1) for structural consistency.
+ * Completions go through the provider layer (utils/llm): Mistral by default,
+ * any OpenAI-compatible server, or offline fixtures.
+ * Forms (tanaga, diona, dalit, haiku, quatrain) come from utils/forms; the
+ * streaming endpoint sends each verse line with its count as it is written.
+ * Every poem is syllable-checked on the server (utils/syllables); off-meter
+ * lines are sent back to the model for correction, up to max_attempts.
  * ================================================================================
  */
 
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
+const { resolveRules, defaultRules, createRedactor } = require('../utils/redactor');
+const { detectLanguage: identifyLanguage } = require('../utils/language');
+const { requireApiKey } = require('../utils/apiAuth');
+const { checkMeter, countLine, verseLines } = require('../utils/syllables');
+const { resolveForm, listForms } = require('../utils/forms');
+const llm = require('../utils/llm');
+const { logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.TANAGA_MAX_ATTEMPTS || 3);
+const MAX_ATTEMPTS_LIMIT = 5;
 
 /**
  * UTILITY: redactPII
- * Masks emails and phone numbers before the data leaves the sovereign environment.
+ * Masks PII (shared rule registry in utils/redactor) before the data leaves the sovereign environment.
  * @param {string} text - Raw user theme.
- * @returns {string} - Anonymized string.
+ * @param {Array<string>} rules - Enabled redaction rules.
+ * @returns {object} - Anonymized string and per-category redaction counts.
  */
-function redactPII(text) {
-    return text.replace(/[\w\.-]+@[\w\.-]+\.\w+/gi, "[EMAIL_REDACTED]")
-               .replace(/\+?\d{1,4}?[-.\s]?\(?\d{1,3}?\)?[-.\s]?\d{1,4}/g, "[PHONE_REDACTED]");
+function redactPII(text, rules) {
+    return createRedactor(rules)(text);
 }
 
 /**
  * UTILITY: detectLanguage
  * Determines if the output should be Tagalog (7-syllable) or English (8-syllable).
+ * Explicit requests win; otherwise the theme's own language decides (utils/language).
  * @param {string} input - User input string.
  * @returns {string} - "English" or "Tagalog".
  */
@@ -39,77 +56,231 @@ function detectLanguage(input) {
     const tagalogTriggers = ["tagalog", "sa tagalog", "filipino", "tanaga", "tula"];
     if (tagalogTriggers.some(t => inputLower.includes(t))) return "Tagalog";
 
-    return "English"; // Default fallback
+    const { language } = identifyLanguage(input);
+    return language === 'tl' || language === 'taglish' ? "Tagalog" : "English"; // English remains the fallback
 }
 
 /**
- * PROMPT ENGINE: getTanagaSystemPrompt
- * Exact v9.6 System Prompts with strict syllable constraints and examples.
+ * UTILITY: describeMeter
+ * "EXACTLY 7 syllables per line" or, for per-line meters, "EXACTLY 5, 7 and 5 syllables (one count per line, in order)".
  */
-function getTanagaSystemPrompt(language) {
-    if (language === "Tagalog") {
-        return (
-            "You are an Expert Poet specialized in traditional Tagalog Tanaga.\n\n" +
-            "STRICT METER CONSTRAINTS:\n" +
-            "1. OUTPUT: ONLY ONE 4-line poem in Tagalog. No translation or explanation.\n" +
-            "2. METER: EXACTLY 7 syllables per line.\n" +
-            "3. CULTURAL IMAGERY: Use 'bayan' (homeland), 'loob' (inner self), 'gunita' (memory).\n" +
-            "4. FORMAT: Each line must be exactly 7 syllables. No exceptions."
-        );
-    } else {
-        return (
-            "You are an Expert Poet specializing in structured English poetry.\n\n" +
-            "STRICT METER CONSTRAINTS:\n" +
-            "1. OUTPUT: ONLY ONE 4-line poem in English. No explanation.\n" +
-            "2. METER: EXACTLY 8 syllables per line.\n" +
-            "3. RYTHM: Maintain consistent iambic rhythm.\n" +
-            "4. FORMAT: Each line must be exactly 8 syllables. No exceptions."
-        );
+function describeMeter(form) {
+    if (!Array.isArray(form.syllables)) return `EXACTLY ${form.syllables} syllables per line`;
+    const counts = form.syllables.join(', ').replace(/, (\d+)$/, ' and $1');
+    return `EXACTLY ${counts} syllables (one count per line, in order)`;
+}
+
+/**
+ * PROMPT ENGINE: getSystemPrompt
+ * v9.6 system prompt structure, generalized over the form registry (utils/forms).
+ */
+function getSystemPrompt(form) {
+    const imagery = form.language === "Tagalog"
+        ? "4. CULTURAL IMAGERY: Use 'bayan' (homeland), 'loob' (inner self), 'gunita' (memory).\n"
+        : "4. RHYTHM: Maintain consistent iambic rhythm.\n";
+    const rhyme = form.rhyme
+        ? `3. RHYME: Follow the ${form.rhyme} rhyme scheme (lines with the same letter end in the same sound).\n`
+        : "3. RHYME: None. The lines are unrhymed.\n";
+    return (
+        `You are an Expert Poet specialized in the ${form.name} (${form.description})\n\n` +
+        "STRICT METER CONSTRAINTS:\n" +
+        `1. OUTPUT: ONLY ONE ${form.lines}-line poem in ${form.language}. No title, translation or explanation.\n` +
+        `2. METER: ${describeMeter(form)}.\n` +
+        rhyme +
+        imagery +
+        `5. FORMAT: One verse line per line, ${form.lines} lines. No exceptions.`
+    );
+}
+
+/**
+ * PROMPT ENGINE: getCorrectionPrompt
+ * Names the off-meter lines (with their counted syllables) so the model can fix only what failed.
+ */
+function getCorrectionPrompt(report, form) {
+    const problems = report.lines
+        .map((line, i) => ({ ...line, number: i + 1 }))
+        .filter(line => !line.ok && line.target !== null)
+        .map(line => `Line ${line.number} ("${line.text}") has ${line.syllables} syllables instead of ${line.target}.`);
+    if (!report.lineCountOk) problems.unshift(`The poem has ${report.lines.length} lines instead of ${form.lines}.`);
+
+    return `${problems.join('\n')}\nRewrite the poem so it has EXACTLY ${form.lines} lines of ${describeMeter(form)}. ` +
+        `Keep the lines that were correct. Output ONLY the poem.`;
+}
+
+/**
+ * UTILITY: prepareRequest
+ * Validates a /generate body and redacts the theme.
+ * @returns {object} - { error } for a 400, or the resolved { form, engine, maxAttempts, messages, redactions }.
+ */
+function prepareRequest(body = {}) {
+    let rules, engine;
+    try {
+        rules = resolveRules(body.pii_rules, defaultRules('tanaga'));
+        engine = llm.parseOverrides(body);
+    } catch (ruleErr) {
+        return { error: ruleErr.message };
+    }
+    const maxAttempts = body.max_attempts === undefined ? DEFAULT_MAX_ATTEMPTS : Number(body.max_attempts);
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > MAX_ATTEMPTS_LIMIT) {
+        return { error: `max_attempts must be an integer between 1 and ${MAX_ATTEMPTS_LIMIT}` };
+    }
+    const { text: safeInput, counts: redactions } = redactPII(body.user_input || "", rules);
+
+    let form;
+    try {
+        form = resolveForm(body, detectLanguage(safeInput));
+    } catch (formErr) {
+        return { error: formErr.message };
     }
+
+    const messages = [
+        { role: "system", content: getSystemPrompt(form) },
+        { role: "user", content: `Write ONE ${form.language} ${form.name} about: ${safeInput}. Follow meter EXACTLY: ${describeMeter(form)}.` }
+    ];
+    return { form, engine, maxAttempts, messages, redactions };
 }
 
+/**
+ * ENGINE: composePoem
+ * Calls the model and audits the meter, retrying with the failing lines until it passes or attempts run out.
+ * With hooks, completions are streamed: onAttempt(n) before each call, onLine(line) per finished verse line,
+ * onRetry(report) after each failed audit that will be retried.
+ * @returns {Promise<object>} - The /generate response body (without redactions).
+ */
+async function composePoem({ form, engine, maxAttempts, messages }, hooks = null) {
+    const meter = { language: form.language, syllables: form.syllables, lines: form.lines };
+    const target = (index) => (Array.isArray(form.syllables) ? form.syllables[index] ?? null : form.syllables);
+    let best = null;
+    let attempt = 0;
+    let completion;
+
+    while (attempt < maxAttempts) {
+        attempt++;
+        if (hooks) {
+            hooks.onAttempt(attempt);
+            let pending = '';
+            let index = 0;
+            const emit = (raw) => verseLines(raw).forEach(text => {
+                const syllables = countLine(text, form.language);
+                hooks.onLine({ attempt, index, text, syllables, target: target(index), ok: syllables === target(index) });
+                index++;
+            });
+            completion = await llm.stream(messages, engine, (delta) => {
+                pending += delta;
+                const cut = pending.lastIndexOf('\n');
+                if (cut < 0) return;
+                emit(pending.slice(0, cut));
+                pending = pending.slice(cut + 1);
+            });
+            emit(pending);
+        } else {
+            completion = await llm.complete(messages, engine);
+        }
+
+        const poem = completion.text;
+        const report = checkMeter(poem, meter);
+        const misses = report.lines.filter(l => !l.ok).length + Math.abs(report.lines.length - meter.lines);
+        if (!best || misses < best.misses) best = { poem, report, attempt, misses };
+        if (report.passed) break;
+
+        if (attempt < maxAttempts) {
+            if (hooks) hooks.onRetry({ attempt, lines: report.lines, lineCountOk: report.lineCountOk });
+            messages.push({ role: "assistant", content: poem }, { role: "user", content: getCorrectionPrompt(report, form) });
+        }
+    }
+
+    // Best effort: if no attempt passed, the attempt with the fewest off-meter lines is returned
+    metrics.tanagaGenerations.inc({ form: form.id, meter: best.report.passed ? 'passed' : 'failed' });
+    return {
+        reply: best.poem,
+        form: { id: form.id, name: form.name, language: form.language, lines: form.lines, syllables: form.syllables, rhyme: form.rhyme },
+        engine: { provider: completion.provider, model: completion.model },
+        meter: {
+            language: form.language,
+            target: form.syllables,
+            passed: best.report.passed,
+            lineCountOk: best.report.lineCountOk,
+            lines: best.report.lines,
+            attempt: best.attempt,
+            succeededOnAttempt: best.report.passed ? best.attempt : null,
+            attempts: attempt,
+            maxAttempts
+        }
+    };
+}
+
+/**
+ * UTILITY: failure
+ * Provider errors carry a routable status (utils/llm design note 4); anything else is ours.
+ * @returns {object} - { status, error, retryAfter }.
+ */
+function failure(err) {
+    if (err.status) return { status: err.status, error: err.message, retryAfter: err.retryAfter };
+    logger.error("Poetic Engine Handshake Failed", { error: err.message });
+    return { status: 500, error: "The poetic engine is currently unavailable." };
+}
+
+// ROUTE: FORM REGISTRY (/api/tanaga-agent/forms)
+router.get('/forms', (req, res) => {
+    res.json({ items: listForms() });
+});
+
 /**
  * ENDPOINT: POST /api/tanaga-agent/generate
- * Handles the async handshake with Mistral AI.
+ * Handles the async handshake with the configured LLM provider. Requires a 'tanaga'-scoped API key (it spends model quota).
+ * Optional form, language and rhyme pick from the registry (default: tanaga or quatrain by the theme's language).
+ * Optional max_attempts (1-5) bounds the meter-correction loop; provider, model, temperature and max_tokens
+ * override the env defaults (utils/llm). The response carries a `meter` report:
+ * per-line syllable counts, whether the meter passed, and the attempt that produced the returned poem.
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', requireApiKey, async (req, res) => {
+    const request = prepareRequest(req.body);
+    if (request.error) return res.status(400).json({ error: request.error });
+
     try {
-        // 1. Vault Verification
-        if (!process.env.MISTRAL_API_KEY) {
-            console.error("\x1b[31m[ERROR] MISTRAL_API_KEY is missing in .env file.\x1b[0m");
-            return res.status(500).json({ error: "Server Configuration Error: API Key missing." });
-        }
+        const poem = await composePoem(request);
+        res.json({ ...poem, redactions: request.redactions });
+    } catch (err) {
+        const { status, error, retryAfter } = failure(err);
+        if (retryAfter) res.set('Retry-After', String(retryAfter));
+        res.status(status).json({ error });
+    }
+});
 
-        // 2. Data Preparation
-        const safeInput = redactPII(req.body.user_input || "");
-        const language = detectLanguage(safeInput);
-        const systemPrompt = getTanagaSystemPrompt(language);
-        const userContent = `Write ONE ${language} poem about: ${safeInput}. Follow meter EXACTLY. 7 syllables for Tagalog, 8 for English.`;
-
-        // 3. AI Handshake
-        const response = await axios.post('https://api.mistral.ai/v1/chat/completions', {
-            model: "mistral-tiny",
-            messages: [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: userContent }
-            ],
-            temperature: 0.1,
-            max_tokens: 100
-        }, {
-            headers: { 
-                'Authorization': `Bearer ${process.env.MISTRAL_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
+/**
+ * ENDPOINT: POST /api/tanaga-agent/generate/stream - Server-Sent Events
+ * Same body as /generate. Events: 'attempt' { attempt }, 'line' { attempt, index, text, syllables, target, ok }
+ * as each verse line completes, 'retry' { attempt, lines, lineCountOk } when an attempt fails the meter,
+ * then 'done' (the /generate response) or 'error' { status, error, retryAfter }.
+ */
+router.post('/generate/stream', requireApiKey, async (req, res) => {
+    const request = prepareRequest(req.body);
+    if (request.error) return res.status(400).json({ error: request.error });
 
-        const poemResult = response.data.choices[0].message.content.trim();
-        res.json({ reply: poemResult });
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disables proxy buffering (nginx) so lines arrive live
+    });
+    res.flushHeaders();
 
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const controller = new AbortController();
+    res.on('close', () => controller.abort()); // The reader left: stop paying for tokens
+    request.engine.signal = controller.signal;
+
+    try {
+        const poem = await composePoem(request, {
+            onAttempt: (attempt) => send('attempt', { attempt }),
+            onLine: (line) => send('line', line),
+            onRetry: (report) => send('retry', report)
+        });
+        send('done', { ...poem, redactions: request.redactions });
     } catch (err) {
-        // Enhanced Error Logging
-        console.error("Poetic Engine Handshake Failed:", err.response ? err.response.data : err.message);
-        res.status(500).json({ error: "The poetic engine is currently unavailable." });
+        if (!controller.signal.aborted) send('error', failure(err));
     }
+    res.end();
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
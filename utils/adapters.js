@@ -0,0 +1,457 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Input Adapters
+ * MISSION: Feeds CSV, TSV, NDJSON, JSON arrays, XLSX and plain text into the one
+ * streaming scoring path.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. ONE ROW SHAPE: Every adapter emits flat { column: string } objects and a
+ * 'headers' event, exactly like csv-parser, so the ingest worker and the
+ * scored-output writer do not care where rows came from.
+ * 2. JSONPATH-STYLE COLUMNS: Nested JSON records are flattened to paths such as
+ * "user.name" or "tags[0]". A selector like $.user.name or $['user']['name']
+ * names the same column.
+ * 3. STREAMING: Files are read in chunks (XLSX via exceljs' streaming reader).
+ * Only one JSON array element or NDJSON line is held in memory at a time.
+ * 4. DETECTION: The extension decides first, then the leading bytes. A `format`
+ * override always wins.
+ * 5. ENCODING: Text formats are decoded to UTF-8 before parsing. A BOM decides
+ * (UTF-8, UTF-16LE/BE); without one, bytes that are not valid UTF-8 are read as
+ * Windows-1252, the usual culprit behind Excel "Save as CSV" exports.
+ * 6. MALFORMED ROWS: Rows that cannot be trusted (bad JSON, a CSV line whose
+ * cell count differs from the header) are emitted with the MALFORMED marker
+ * instead of being dropped, so the ingest report can count them.
+ * ================================================================================
+ */
+
+const fs = require('fs');
+const { Transform, Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+
+const INPUT_FORMATS = ['csv', 'tsv', 'ndjson', 'json', 'xlsx', 'text'];
+const MALFORMED = Symbol('malformed');
+const MAX_RECORD_BYTES = 1024 * 1024;
+const MAX_FLATTEN_DEPTH = 8;
+
+const EXTENSIONS = {
+    '.csv': 'csv', '.tsv': 'tsv', '.tab': 'tsv', '.ndjson': 'ndjson', '.jsonl': 'ndjson',
+    '.json': 'json', '.xlsx': 'xlsx', '.txt': 'text'
+};
+const DELIMITER_NAMES = { tab: '\t', '\\t': '\t', comma: ',', semicolon: ';', pipe: '|' };
+
+// Upload MIME types accepted as-is; generic types are accepted only with a known extension
+const MIME_TYPES = [
+    'text/csv', 'text/tab-separated-values', 'text/plain', 'text/x-csv', 'application/csv',
+    'application/json', 'application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines',
+    'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+/**
+ * Normalizes a JSONPath-style selector ($.a.b, $['a']['b'], a.b) to a flattened column key.
+ * @param {string} selector - Column name or selector.
+ * @returns {string} - Lower-case column key.
+ */
+const normalizeSelector = (selector) => String(selector)
+    .trim()
+    .replace(/^\$\.?/, '')
+    .replace(/\[\s*(['"])(.*?)\1\s*\]/g, '.$2')
+    .replace(/^\./, '')
+    .toLowerCase();
+
+/**
+ * Resolves a delimiter option ('tab', ';', '\t', ...) to one character.
+ * @throws {Error} - If the delimiter is not a single character.
+ */
+const resolveDelimiter = (value) => {
+    const delimiter = DELIMITER_NAMES[String(value).toLowerCase()] || String(value);
+    if ([...delimiter].length !== 1 || /[\r\n"]/.test(delimiter)) throw new Error('delimiter must be a single character (or tab, comma, semicolon, pipe).');
+    return delimiter;
+};
+
+const extensionOf = (filename) => (String(filename).match(/\.[a-z0-9]+$/i) || [''])[0].toLowerCase();
+
+/**
+ * @returns {boolean} - True if an upload's MIME type (or, for generic types, its extension) is a supported input.
+ */
+const isAcceptedUpload = (mimetype, filename) => {
+    const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+    if (MIME_TYPES.includes(type)) return true;
+    return GENERIC_MIME_TYPES.includes(type) && Boolean(EXTENSIONS[extensionOf(filename)]);
+};
+
+/**
+ * Resolves an encoding option to a WHATWG label (utf-8, utf-16le, utf-16be, windows-1252).
+ * @throws {Error} - If the encoding is not supported.
+ */
+const resolveEncoding = (value) => {
+    let encoding;
+    try {
+        encoding = new TextDecoder(String(value).trim()).encoding;
+    } catch (err) {
+        encoding = null;
+    }
+    if (!['utf-8', 'utf-16le', 'utf-16be', 'windows-1252'].includes(encoding)) {
+        throw new Error('encoding must be one of: utf-8, utf-16le, utf-16be, windows-1252 (latin1).');
+    }
+    return encoding;
+};
+
+/**
+ * Picks the text encoding of an upload from its first bytes (design note 5).
+ * @param {Buffer} head - The first few KB of the content.
+ * @returns {string} - 'utf-8' | 'utf-16le' | 'utf-16be' | 'windows-1252'.
+ */
+const detectEncoding = (head) => {
+    if (head[0] === 0xFF && head[1] === 0xFE) return 'utf-16le';
+    if (head[0] === 0xFE && head[1] === 0xFF) return 'utf-16be';
+    try {
+        // stream: true tolerates a multi-byte character cut off at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+        return 'utf-8';
+    } catch (err) {
+        return 'windows-1252';
+    }
+};
+
+/**
+ * Picks a format for an upload: extension first, then the leading bytes (see design note 4).
+ * @param {string} filename - Original file name ('' for pasted text).
+ * @param {Buffer} head - The first few KB of the content.
+ * @param {string} [encoding] - Text encoding of the content.
+ * @returns {object} - { format, delimiter }.
+ */
+const detectFormat = (filename, head, encoding = 'utf-8') => {
+    const ext = extensionOf(filename);
+    const sample = new TextDecoder(encoding).decode(head);
+    const firstLine = sample.split(/\r?\n/)[0];
+    const delimiterOf = () => [',', '\t', ';', '|']
+        .map(d => [d, firstLine.split(d).length])
+        .reduce((best, c) => (c[1] > best[1] ? c : best))[0];
+
+    if (EXTENSIONS[ext]) {
+        const format = EXTENSIONS[ext];
+        return { format, delimiter: format === 'tsv' ? '\t' : (format === 'csv' ? delimiterOf() : null) };
+    }
+    if (head.slice(0, 4).equals(Buffer.from('PK\x03\x04', 'binary'))) return { format: 'xlsx', delimiter: null };
+
+    const trimmed = sample.trimStart();
+    if (trimmed.startsWith('[')) return { format: 'json', delimiter: null };
+    if (trimmed.startsWith('{')) return { format: 'ndjson', delimiter: null };
+
+    const delimiter = delimiterOf();
+    if (firstLine.split(delimiter).length < 2) return { format: 'text', delimiter: null };
+    return { format: delimiter === '\t' ? 'tsv' : 'csv', delimiter };
+};
+
+/**
+ * Flattens a JSON record into path-keyed string columns (design note 2).
+ * Bare strings become a one-column row under the text column.
+ */
+const flattenRecord = (record, textColumn) => {
+    if (record === null || typeof record !== 'object') return { [textColumn]: record === null ? '' : String(record) };
+
+    const out = {};
+    const walk = (value, path, depth) => {
+        if (value !== null && typeof value === 'object' && depth < MAX_FLATTEN_DEPTH) {
+            const entries = Array.isArray(value) ? value.map((v, i) => [`${path}[${i}]`, v]) : Object.entries(value).map(([k, v]) => [path ? `${path}.${k}` : k, v]);
+            for (const [key, child] of entries) walk(child, key, depth + 1);
+        } else {
+            out[path] = value === null ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        }
+    };
+    walk(record, '', 0);
+    return out;
+};
+
+/**
+ * Object-mode transform base: emits 'headers' once (from the first row) and flat rows.
+ */
+const rowEmitter = (transform, flush) => {
+    let headersSent = false;
+    const stream = new Transform({
+        readableObjectMode: true,
+        transform(chunk, encoding, done) {
+            try {
+                transform.call(this, chunk, done);
+            } catch (err) {
+                done(err);
+            }
+        },
+        flush(done) {
+            try {
+                flush.call(this, done);
+            } catch (err) {
+                done(err);
+            }
+        }
+    });
+    stream.pushRow = (row) => {
+        if (!headersSent && !row[MALFORMED]) {
+            headersSent = true;
+            stream.emit('headers', Object.keys(row));
+        }
+        stream.push(row);
+    };
+    return stream;
+};
+
+/**
+ * Splits a byte stream into lines (the final line need not end in a newline).
+ */
+const lineRows = (toRow) => {
+    const decoder = new StringDecoder('utf8');
+    let pending = '';
+    let first = true;
+    const emit = (stream, line) => {
+        if (first) {
+            line = line.replace(/^\uFEFF/, '');
+            first = false;
+        }
+        const row = toRow(line.replace(/\r$/, ''));
+        if (row) stream.pushRow(row);
+    };
+
+    return rowEmitter(function (chunk, done) {
+        pending += decoder.write(chunk);
+        const lines = pending.split('\n');
+        pending = lines.pop();
+        if (pending.length > MAX_RECORD_BYTES) throw new Error(`A line exceeds ${MAX_RECORD_BYTES} bytes.`);
+        for (const line of lines) emit(this, line);
+        done();
+    }, function (done) {
+        pending += decoder.end();
+        if (pending.length) emit(this, pending);
+        done();
+    });
+};
+
+/**
+ * Streams the elements of a top-level JSON array without parsing the whole document.
+ */
+const jsonArrayRows = (textColumn) => {
+    const decoder = new StringDecoder('utf8');
+    let started = false;
+    let finished = false;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let element = '';
+
+    const emitElement = (stream) => {
+        const source = element.trim();
+        element = '';
+        if (!source) return;
+        let record;
+        try {
+            record = JSON.parse(source);
+        } catch (err) {
+            return stream.pushRow({ [MALFORMED]: true });
+        }
+        stream.pushRow(flattenRecord(record, textColumn));
+    };
+
+    return rowEmitter(function (chunk, done) {
+        const text = decoder.write(chunk);
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (finished) {
+                if (!/\s/.test(c)) throw new Error('Unexpected content after the JSON array.');
+                continue;
+            }
+            if (!started) {
+                if (c === '[') started = true;
+                else if (!/[\s\uFEFF]/.test(c)) throw new Error('JSON input must be an array of records (use NDJSON for one record per line).');
+                continue;
+            }
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (c === '\\') escaped = true;
+                else if (c === '"') inString = false;
+            } else if (c === '"') {
+                inString = true;
+            } else if (c === '{' || c === '[') {
+                depth++;
+            } else if (c === '}' || c === ']') {
+                if (depth === 0) {
+                    emitElement(this);
+                    finished = true;
+                    continue;
+                }
+                depth--;
+            } else if (c === ',' && depth === 0) {
+                emitElement(this);
+                continue;
+            }
+            element += c;
+        }
+        if (element.length > MAX_RECORD_BYTES) throw new Error(`A JSON record exceeds ${MAX_RECORD_BYTES} bytes.`);
+        done();
+    }, function (done) {
+        decoder.end();
+        if (!finished) throw new Error('JSON array is not closed.');
+        done();
+    });
+};
+
+/**
+ * Converts an exceljs cell value (rich text, formula, hyperlink, date) to a string.
+ */
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value !== 'object') return String(value);
+    if (value.richText) return value.richText.map(r => r.text).join('');
+    if ('result' in value) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return '';
+};
+
+/**
+ * Streams the first worksheet of an XLSX workbook; its first row holds the headers.
+ */
+const xlsxRows = (source) => {
+    async function* rows() {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookReader(source, {
+            sharedStrings: 'cache', hyperlinks: 'ignore', styles: 'cache', worksheets: 'emit'
+        });
+        for await (const worksheet of workbook) {
+            let headers = null;
+            for await (const row of worksheet) {
+                const values = row.values.slice(1).map(cellText);
+                if (!headers) {
+                    headers = values.map((h, i) => h.trim() || `column_${i + 1}`);
+                    continue;
+                }
+                yield Object.fromEntries(headers.map((h, i) => [h, values[i] ?? '']));
+            }
+            return; // First worksheet only
+        }
+    }
+
+    const stream = Readable.from(rows());
+    let headersSent = false;
+    stream.on('data', (row) => {
+        if (headersSent) return;
+        headersSent = true;
+        stream.emit('headers', Object.keys(row));
+    });
+    return stream;
+};
+
+/**
+ * Re-encodes a byte stream to UTF-8 and drops any BOM (design note 5).
+ */
+const utf8Decoder = (encoding) => {
+    const decoder = new TextDecoder(encoding);
+    return new Transform({
+        transform(chunk, _encoding, done) {
+            done(null, Buffer.from(decoder.decode(chunk, { stream: true }), 'utf8'));
+        },
+        flush(done) {
+            done(null, Buffer.from(decoder.decode(), 'utf8'));
+        }
+    });
+};
+
+/**
+ * csv-parser with rows whose cell count differs from the header tagged MALFORMED (design note 6).
+ */
+const delimitedRows = (separator) => {
+    const parser = csv({ separator, maxRowBytes: MAX_RECORD_BYTES });
+    let width = 0;
+    const tagger = new Transform({
+        objectMode: true,
+        transform(row, _encoding, done) {
+            if (Object.keys(row).length !== width) row[MALFORMED] = true;
+            done(null, row);
+        }
+    });
+    parser.on('headers', (headers) => {
+        width = headers.length;
+        tagger.emit('headers', headers);
+    });
+    parser.on('error', (err) => tagger.destroy(err));
+    return { input: parser, output: parser.pipe(tagger) };
+};
+
+/**
+ * Opens a file as a row stream.
+ * @param {string} filePath - Uploaded (or pasted-and-saved) file.
+ * @param {object} options
+ * @param {string} options.format - One of INPUT_FORMATS.
+ * @param {string} [options.delimiter] - Field separator for 'csv'.
+ * @param {string} [options.encoding] - Text encoding (default utf-8); ignored for 'xlsx'.
+ * @param {string} options.textColumn - Column that bare strings and text lines are stored under.
+ * @returns {object} - { source: byte stream (for progress/cancellation), rows: object stream emitting 'headers' }.
+ */
+const openRowStream = (filePath, { format, delimiter, encoding = 'utf-8', textColumn }) => {
+    const source = fs.createReadStream(filePath);
+    const pipeTo = (parser, rows = parser) => {
+        const decoder = utf8Decoder(encoding);
+        source.on('error', (err) => rows.destroy(err));
+        decoder.on('error', (err) => rows.destroy(err));
+        source.pipe(decoder).pipe(parser);
+        return { source, rows };
+    };
+    const delimited = (separator) => {
+        const { input, output } = delimitedRows(separator);
+        return pipeTo(input, output);
+    };
+
+    switch (format) {
+        case 'csv': return delimited(delimiter || ',');
+        case 'tsv': return delimited('\t');
+        case 'ndjson': return pipeTo(lineRows((line) => {
+            if (!line.trim()) return null;
+            try {
+                return flattenRecord(JSON.parse(line), textColumn);
+            } catch (err) {
+                return { [MALFORMED]: true };
+            }
+        }));
+        case 'json': return pipeTo(jsonArrayRows(textColumn));
+        case 'text': return pipeTo(lineRows((line) => (line.trim() ? { [textColumn]: line } : null)));
+        case 'xlsx': return { source, rows: xlsxRows(source) };
+        default: throw new Error(`format must be one of: ${INPUT_FORMATS.join(', ')}`);
+    }
+};
+
+/**
+ * Reads the first rows of a file to list its columns, for the pre-flight check and the column picker.
+ * A parse error after some rows were read is tolerated, so a truncated head of a large file still works.
+ * @param {string} filePath - Uploaded file.
+ * @param {object} options - As for openRowStream, plus sampleRows (default 50).
+ * @returns {Promise<string[]>} - Column names in first-seen order.
+ */
+const sniffColumns = (filePath, { sampleRows = 50, ...options }) => new Promise((resolve, reject) => {
+    const { source, rows } = openRowStream(filePath, options);
+    const columns = new Set();
+    let seen = 0;
+    let settled = false;
+    const settle = (err) => {
+        if (settled) return;
+        settled = true;
+        source.destroy();
+        rows.destroy();
+        if (err && !columns.size) return reject(err);
+        resolve([...columns]);
+    };
+
+    rows.on('headers', (headers) => headers.forEach(h => columns.add(h)));
+    rows.on('data', (row) => {
+        if (!row[MALFORMED]) Object.keys(row).forEach(k => columns.add(k));
+        if (++seen >= sampleRows) settle();
+    });
+    rows.on('end', () => settle());
+    rows.on('error', settle);
+});
+
+module.exports = {
+    INPUT_FORMATS, MALFORMED,
+    normalizeSelector, resolveDelimiter, resolveEncoding, isAcceptedUpload,
+    detectEncoding, detectFormat, openRowStream, sniffColumns
+};
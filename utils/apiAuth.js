@@ -0,0 +1,149 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign API Gate
+ * MISSION: Authentication, per-key CORS and rate limiting for the hub's routers.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. TWO LAYERS: apiGuard(tool) runs in front of a whole router. It limits
+ * every caller by IP, resolves an API key if one is presented (X-API-Key or
+ * "Authorization: Bearer"), checks its scope and limits it by key. Routes
+ * that spend quota or write data add requireApiKey. Embed reads, job
+ * progress and the captcha-protected contact widget stay anonymous.
+ * 2. CORS PER KEY: Same-origin pages need no CORS. Cross-origin callers get
+ * CORS headers only with a key whose origin allowlist names their origin.
+ * Preflights cannot carry the key, so they are answered for any origin and
+ * the real request is checked.
+ * 3. 429s: Limited calls get 429 with Retry-After (seconds) and the
+ * RateLimit-Limit / RateLimit-Remaining headers.
+ * 4. ADMIN: Key management is guarded by ADMIN_TOKEN. Without it the admin
+ * endpoints are disabled. API_AUTH=off disables requireApiKey for local
+ * development only.
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const cors = require('cors');
+const { verifyKey } = require('./apiKeys');
+const { createRateLimiter } = require('./rateLimit');
+const { logger } = require('./logger');
+
+const WINDOW_MS = 60 * 1000;
+const IP_RATE_LIMIT = Number(process.env.RATE_LIMIT_PER_IP || 120); // Requests per minute per client IP
+const CORS_HEADERS = {
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+    // Every request header a route reads: the inbox token (routes/contact), the self-service
+    // session (routes/contactManage) and the caller's request id (utils/logger)
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Researcher-Token', 'X-Manage-Session', 'X-Request-Id'],
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'X-Request-Id'],
+    maxAge: 600
+};
+
+const limiter = createRateLimiter({ windowMs: WINDOW_MS });
+const authDisabled = () => process.env.API_AUTH === 'off';
+
+if (authDisabled()) logger.warn("API Keys Not Required", { setting: 'API_AUTH', value: 'off', effect: 'never run production like this' });
+if (!process.env.ADMIN_TOKEN) logger.warn("API Key Admin Disabled", { setting: 'ADMIN_TOKEN', problem: 'missing', effect: 'the API key admin endpoints are disabled' });
+
+const presentedKey = (req) => {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+};
+
+const isCrossOrigin = (req) => {
+    const origin = req.get('Origin');
+    if (!origin) return false;
+    try {
+        return new URL(origin).host !== req.get('host');
+    } catch (err) {
+        return true;
+    }
+};
+
+/**
+ * Counts one request against a limit; sends the 429 (and returns false) when it is exhausted.
+ */
+const consume = (res, id, limit, label) => {
+    const outcome = limiter.hit(id, limit);
+    res.set('RateLimit-Limit', String(outcome.limit));
+    res.set('RateLimit-Remaining', String(outcome.remaining));
+    if (outcome.allowed) return true;
+
+    res.set('Retry-After', String(outcome.retryAfterSeconds));
+    res.status(429).json({ error: `Rate limit exceeded (${limit} requests per minute per ${label}).`, retryAfter: outcome.retryAfterSeconds });
+    return false;
+};
+
+/**
+ * Middleware: IP rate limit only (for routers without API keys, e.g. admin).
+ */
+const limitByIp = (req, res, next) => {
+    if (consume(res, `ip:${req.ip}`, IP_RATE_LIMIT, 'IP')) next();
+};
+
+/**
+ * Middleware factory for a tool's router (design notes 1-3). Sets req.apiKey when a valid key is presented.
+ * @param {string} tool - One of TOOLS.
+ */
+const apiGuard = (tool) => async (req, res, next) => {
+    const crossOrigin = isCrossOrigin(req);
+    if (crossOrigin && req.method === 'OPTIONS') return cors({ ...CORS_HEADERS, origin: true })(req, res, next);
+
+    if (!consume(res, `ip:${req.ip}`, IP_RATE_LIMIT, 'IP')) return;
+
+    const key = presentedKey(req);
+    if (key) {
+        const record = await verifyKey(key);
+        if (!record) return res.status(401).json({ error: 'Invalid or revoked API key.' });
+        if (!record.scopes.includes(tool)) return res.status(403).json({ error: `This API key is not scoped for ${tool}.` });
+
+        const origin = req.get('Origin');
+        if (crossOrigin && !record.origins.includes('*') && !record.origins.includes(origin)) {
+            return res.status(403).json({ error: `Origin ${origin} is not allowed for this API key.` });
+        }
+        // The per-key limit is reported last, so its headers win over the IP limit's
+        if (!consume(res, `key:${record.id}`, record.rate_limit, 'API key')) return;
+        req.apiKey = record;
+    }
+
+    if (!crossOrigin || !req.apiKey) return next();
+    cors({ ...CORS_HEADERS, origin: req.get('Origin') })(req, res, next);
+};
+
+/**
+ * Middleware: the route needs an API key (scoped for the router's tool, see apiGuard).
+ */
+const requireApiKey = (req, res, next) => {
+    if (req.apiKey || authDisabled()) return next();
+    res.status(401).json({ error: 'An API key is required (X-API-Key header or "Authorization: Bearer <key>").' });
+};
+
+// Constant-time comparison of the bearer credential with a configured token
+const bearerMatches = (req, token) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    const given = crypto.createHash('sha256').update(match ? match[1] : '').digest();
+    const expected = crypto.createHash('sha256').update(token).digest();
+    return Boolean(match) && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Middleware: the request carries ADMIN_TOKEN as a bearer token.
+ */
+const requireAdmin = (req, res, next) => {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) return res.status(503).json({ error: 'Admin API disabled: ADMIN_TOKEN is not configured.' });
+    if (!bearerMatches(req, token)) return res.status(401).json({ error: 'Admin token required.' });
+    next();
+};
+
+/**
+ * Middleware: with METRICS_TOKEN set, the scraper sends it as a bearer token. Without it /metrics is open.
+ */
+const requireMetricsToken = (req, res, next) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && !bearerMatches(req, token)) return res.status(401).json({ error: 'Metrics token required.' });
+    next();
+};
+
+module.exports = { apiGuard, requireApiKey, requireAdmin, requireMetricsToken, limitByIp };
@@ -0,0 +1,151 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign API Key Vault
+ * MISSION: Issues, verifies and revokes the API keys that guard the hub's tools.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. HASHED AT REST: A key is 'sk_<prefix>_<secret>'. Only its SHA-256 digest is
+ * stored (auth.sqlite); the plaintext is returned once, at creation. Keys carry
+ * 256 bits of randomness, so a fast hash is enough.
+ * 2. PUBLIC PREFIX: The 8-character prefix identifies a key in listings and
+ * logs and is the lookup column, so verification is one indexed read.
+ * 3. SCOPES: Each key names the tools it may call ('tanaga', 'sentiment',
+ * 'contact'), its browser origins (CORS) and its own requests per minute.
+ * 4. SOFT REVOCATION: Revoked keys keep their row (for audit) and stop
+ * verifying immediately.
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { logger } = require('./logger');
+
+const TOOLS = ['tanaga', 'sentiment', 'contact'];
+const DEFAULT_KEY_RATE_LIMIT = 60;   // Requests per minute
+const MAX_KEY_RATE_LIMIT = 10000;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const sqlTimestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace('T', ' ');
+const digest = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// DB INITIALIZATION: A dedicated SQLite file, independent of the sentiment store's MySQL/SQLite switch
+const ready = (async () => {
+    const db = await open({ filename: path.join(__dirname, '../auth.sqlite'), driver: sqlite3.Database });
+    await db.exec(`CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(64) NOT NULL,
+        prefix VARCHAR(8) NOT NULL UNIQUE,
+        key_hash CHAR(64) NOT NULL,
+        scopes TEXT NOT NULL,
+        allowed_origins TEXT NOT NULL,
+        rate_limit INTEGER NOT NULL,
+        created_at DATETIME NOT NULL,
+        last_used_at DATETIME,
+        revoked_at DATETIME
+    )`);
+    return db;
+})();
+ready.catch(err => logger.error("API Key Vault Initialization Failure", { error: err.message }));
+
+const lastTouched = new Map(); // key id -> ms of the last last_used_at write
+
+const toPublic = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    origins: JSON.parse(row.allowed_origins),
+    rate_limit: row.rate_limit,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at
+});
+
+/**
+ * Validates an allowed origin ('*' or scheme://host[:port]).
+ * @throws {Error} - If the value is not an origin.
+ */
+const normalizeOrigin = (value) => {
+    const raw = String(value).trim();
+    if (raw === '*') return raw;
+    let url;
+    try {
+        url = new URL(raw);
+    } catch (err) {
+        url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== raw.replace(/\/$/, '')) {
+        throw new Error(`"${raw}" is not an origin (expected e.g. https://example.org).`);
+    }
+    return url.origin;
+};
+
+/**
+ * Creates a key. The plaintext is only ever returned here.
+ * @param {object} spec - { name, scopes, origins, rateLimit }, already validated.
+ * @returns {Promise<object>} - Public key record plus `key`.
+ */
+const createKey = async ({ name, scopes, origins, rateLimit }) => {
+    const db = await ready;
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `sk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+    const result = await db.run(
+        'INSERT INTO api_keys (name, prefix, key_hash, scopes, allowed_origins, rate_limit, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [name, prefix, digest(key), JSON.stringify(scopes), JSON.stringify(origins), rateLimit, sqlTimestamp()]
+    );
+    const row = await db.get('SELECT * FROM api_keys WHERE id = ?', [result.lastID]);
+    return { ...toPublic(row), key };
+};
+
+/**
+ * @returns {Promise<Array<object>>} - Every key (revoked ones included), newest first, without hashes.
+ */
+const listKeys = async () => {
+    const db = await ready;
+    return (await db.all('SELECT * FROM api_keys ORDER BY id DESC')).map(toPublic);
+};
+
+/**
+ * Revokes a key. Revoking twice keeps the first revocation time.
+ * @returns {Promise<object|null>} - The public record, or null if the id is unknown.
+ */
+const revokeKey = async (id) => {
+    const db = await ready;
+    await db.run('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [sqlTimestamp(), id]);
+    const row = await db.get('SELECT * FROM api_keys WHERE id = ?', [id]);
+    return row ? toPublic(row) : null;
+};
+
+/**
+ * Resolves a presented key to its live record.
+ * @param {string} key - Plaintext key from the request.
+ * @returns {Promise<object|null>} - Public record, or null if unknown, malformed or revoked.
+ */
+const verifyKey = async (key) => {
+    const match = /^sk_([0-9a-f]{8})_[A-Za-z0-9_-]{43}$/.exec(String(key || ''));
+    if (!match) return null;
+
+    const db = await ready;
+    const row = await db.get('SELECT * FROM api_keys WHERE prefix = ?', [match[1]]);
+    if (!row || row.revoked_at) return null;
+
+    const expected = Buffer.from(row.key_hash, 'hex');
+    const given = Buffer.from(digest(key), 'hex');
+    if (!crypto.timingSafeEqual(expected, given)) return null;
+
+    // last_used_at is advisory; write it at most once a minute per key
+    const now = Date.now();
+    if (now - (lastTouched.get(row.id) || 0) >= LAST_USED_RESOLUTION_MS) {
+        lastTouched.set(row.id, now);
+        db.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [sqlTimestamp(), row.id])
+            .catch(err => logger.error("API Key Touch Failure", { error: err.message }));
+    }
+    return toPublic(row);
+};
+
+module.exports = {
+    TOOLS, DEFAULT_KEY_RATE_LIMIT, MAX_KEY_RATE_LIMIT,
+    normalizeOrigin, createKey, listKeys, revokeKey, verifyKey
+};
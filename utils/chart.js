@@ -0,0 +1,95 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Headless Chart Renderer
+ * MISSION: Server-side rendering of the 11-bin polarity distribution as SVG/PNG.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. NO BROWSER, NO CDN: The SVG is assembled as a string; PNG output rasterizes
+ * that same SVG with resvg (a native renderer shipped through npm).
+ * 2. PUBLICATION-READY: Fixed dimensions, axis labels and an optional summary
+ * footer so exported figures can be dropped straight into papers and decks.
+ * 3. FONTS: PNG text uses the host's system sans-serif font. Hosts without
+ * fonts still render the bars and axes.
+ * ================================================================================
+ */
+
+const { Resvg } = require('@resvg/resvg-js');
+
+const BIN_LABELS = ["-1.0", "-0.8", "-0.6", "-0.4", "-0.2", "0", "0.2", "0.4", "0.6", "0.8", "1.0"];
+const NAVY = '#05386B';
+const SLATE = '#64748b';
+const GRID = '#e2e8f0';
+
+const escapeXml = (s) => String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+/**
+ * Picks a "nice" axis maximum and integer tick step for the given (row count) maximum.
+ */
+const niceScale = (max, ticks = 5) => {
+    if (max <= 0) return { top: 1, step: 1 };
+    const raw = max / ticks;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = Math.max(1, [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= raw));
+    return { top: Math.ceil(max / step) * step, step };
+};
+
+/**
+ * Renders a bar chart of the polarity distribution.
+ * @param {object} chart
+ * @param {string} chart.title - Figure title.
+ * @param {Array<number>} chart.bins - 11 bin counts.
+ * @param {string} [chart.footer] - Optional one-line caption (e.g. summary statistics).
+ * @returns {string} - Standalone SVG document.
+ */
+const renderDistributionSvg = ({ title, bins, footer }) => {
+    const width = 800;
+    const height = footer ? 460 : 430;
+    const plot = { left: 70, right: 20, top: 60, bottom: 380 };
+    const plotWidth = width - plot.left - plot.right;
+    const plotHeight = plot.bottom - plot.top;
+    const { top, step } = niceScale(Math.max(...bins));
+
+    const slot = plotWidth / bins.length;
+    const barWidth = slot * 0.7;
+    const y = (v) => plot.bottom - (v / top) * plotHeight;
+
+    const parts = [];
+    parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+    parts.push(`<text x="${width / 2}" y="32" text-anchor="middle" font-family="sans-serif" font-size="18" font-weight="bold" fill="${NAVY}">${escapeXml(title)}</text>`);
+
+    for (let v = 0; v <= top; v += step) {
+        parts.push(`<line x1="${plot.left}" x2="${width - plot.right}" y1="${y(v)}" y2="${y(v)}" stroke="${GRID}" stroke-width="1"/>`);
+        parts.push(`<text x="${plot.left - 8}" y="${y(v) + 4}" text-anchor="end" font-family="sans-serif" font-size="11" fill="${SLATE}">${v.toLocaleString('en-US')}</text>`);
+    }
+
+    bins.forEach((count, i) => {
+        const x = plot.left + i * slot + (slot - barWidth) / 2;
+        parts.push(`<rect x="${x.toFixed(2)}" y="${y(count).toFixed(2)}" width="${barWidth.toFixed(2)}" height="${(plot.bottom - y(count)).toFixed(2)}" rx="3" fill="${NAVY}"/>`);
+        parts.push(`<text x="${(x + barWidth / 2).toFixed(2)}" y="${plot.bottom + 18}" text-anchor="middle" font-family="sans-serif" font-size="11" fill="${SLATE}">${BIN_LABELS[i]}</text>`);
+    });
+
+    parts.push(`<line x1="${plot.left}" x2="${width - plot.right}" y1="${plot.bottom}" y2="${plot.bottom}" stroke="${SLATE}" stroke-width="1"/>`);
+    parts.push(`<text x="${plot.left + plotWidth / 2}" y="${plot.bottom + 40}" text-anchor="middle" font-family="sans-serif" font-size="12" fill="${SLATE}">VADER compound score (bin centre)</text>`);
+    parts.push(`<text transform="translate(18 ${plot.top + plotHeight / 2}) rotate(-90)" text-anchor="middle" font-family="sans-serif" font-size="12" fill="${SLATE}">Rows</text>`);
+    if (footer) {
+        parts.push(`<text x="${width / 2}" y="${height - 14}" text-anchor="middle" font-family="sans-serif" font-size="12" fill="#334155">${escapeXml(footer)}</text>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n${parts.join('\n')}\n</svg>\n`;
+};
+
+/**
+ * Rasterizes an SVG document to PNG.
+ * @param {string} svg - SVG markup.
+ * @param {number} [scale=2] - Output pixel density (2 = retina / print friendly).
+ * @returns {Buffer}
+ */
+const svgToPng = (svg, scale = 2) => {
+    const resvg = new Resvg(svg, {
+        fitTo: { mode: 'zoom', value: scale },
+        font: { loadSystemFonts: true, defaultFontFamily: 'sans-serif' }
+    });
+    return resvg.render().asPng();
+};
+
+module.exports = { BIN_LABELS, renderDistributionSvg, svgToPng, escapeXml };
@@ -0,0 +1,157 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Distribution Comparison
+ * MISSION: Significance testing between stored 11-bin polarity histograms.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. AGGREGATES ONLY: Every test runs on the persisted bin counts. No raw text or
+ * per-row score is needed, in keeping with the data-minimization rule.
+ * 2. CHI-SQUARE: k x 11 test of homogeneity. Bins that are empty in every
+ * analysis are dropped before computing degrees of freedom.
+ * 3. KOLMOGOROV-SMIRNOV: Max gap between the binned CDFs. Binning makes the
+ * asymptotic p-value conservative, so it is reported as approximate.
+ * ================================================================================
+ */
+
+const BIN_CENTERS = Array.from({ length: 11 }, (_, i) => Math.round((i / 5 - 1) * 10) / 10);
+
+const sum = (arr) => arr.reduce((a, b) => a + b, 0);
+
+/**
+ * Natural log of the gamma function (Lanczos approximation).
+ */
+const lnGamma = (x) => {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let ser = 1.000000000190015;
+    for (const coef of c) ser += coef / ++y;
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+};
+
+/**
+ * Upper regularized incomplete gamma Q(a, x), via series (x < a + 1) or continued fraction.
+ */
+const gammaQ = (a, x) => {
+    if (x <= 0) return 1;
+    const gln = lnGamma(a);
+
+    if (x < a + 1) {
+        let ap = a;
+        let del = 1 / a;
+        let total = del;
+        for (let n = 0; n < 500; n++) {
+            del *= x / ++ap;
+            total += del;
+            if (Math.abs(del) < Math.abs(total) * 1e-14) break;
+        }
+        return 1 - total * Math.exp(-x + a * Math.log(x) - gln);
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < 1e-14) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - gln) * h;
+};
+
+/**
+ * Chi-square test of homogeneity across several histograms.
+ * @param {Array<Array<number>>} histograms - One 11-bin count array per analysis.
+ * @returns {object} - statistic, df, p_value and the share of cells with expected count < 5.
+ */
+const chiSquareTest = (histograms) => {
+    const used = BIN_CENTERS.map((_, j) => histograms.some(h => h[j] > 0));
+    const table = histograms.map(h => h.filter((_, j) => used[j]));
+    const rowTotals = table.map(sum);
+    const colTotals = table[0].map((_, j) => sum(table.map(r => r[j])));
+    const grand = sum(rowTotals);
+    const df = (table.length - 1) * (colTotals.length - 1);
+
+    if (!grand || df <= 0 || rowTotals.some(t => t === 0)) {
+        return { statistic: null, df: Math.max(df, 0), p_value: null, low_expected_share: null };
+    }
+
+    let statistic = 0;
+    let lowExpected = 0;
+    table.forEach((row, i) => row.forEach((observed, j) => {
+        const expected = rowTotals[i] * colTotals[j] / grand;
+        if (expected < 5) lowExpected++;
+        statistic += (observed - expected) ** 2 / expected;
+    }));
+
+    return {
+        statistic,
+        df,
+        p_value: gammaQ(df / 2, statistic / 2),
+        // Cochran's rule: results are unreliable when > 20% of cells expect fewer than 5 rows
+        low_expected_share: lowExpected / (table.length * colTotals.length)
+    };
+};
+
+/**
+ * Asymptotic Kolmogorov distribution tail probability P(K > lambda).
+ */
+const kolmogorovQ = (lambda) => {
+    if (lambda < 1e-3) return 1;
+    let total = 0;
+    for (let k = 1; k <= 100; k++) {
+        const term = 2 * (k % 2 ? 1 : -1) * Math.exp(-2 * k * k * lambda * lambda);
+        total += term;
+        if (Math.abs(term) < 1e-12) break;
+    }
+    return Math.min(1, Math.max(0, total));
+};
+
+/**
+ * Two-sample Kolmogorov-Smirnov-style comparison on binned data.
+ * @returns {object} - ks_distance (max CDF gap, 0..1) and an approximate p-value.
+ */
+const ksTest = (a, b) => {
+    const na = sum(a);
+    const nb = sum(b);
+    if (!na || !nb) return { ks_distance: null, ks_p_value_approx: null };
+
+    let cdfA = 0;
+    let cdfB = 0;
+    let distance = 0;
+    for (let j = 0; j < a.length; j++) {
+        cdfA += a[j] / na;
+        cdfB += b[j] / nb;
+        distance = Math.max(distance, Math.abs(cdfA - cdfB));
+    }
+
+    const ne = Math.sqrt(na * nb / (na + nb));
+    return { ks_distance: distance, ks_p_value_approx: kolmogorovQ((ne + 0.12 + 0.11 / ne) * distance) };
+};
+
+/**
+ * Normalizes counts to shares of the total.
+ */
+const normalize = (bins) => {
+    const total = sum(bins);
+    return bins.map(b => (total ? b / total : 0));
+};
+
+/**
+ * Mean compound score estimated from bin centres (for aggregates saved without summary statistics).
+ */
+const binnedMean = (bins) => {
+    const total = sum(bins);
+    return total ? sum(bins.map((b, j) => b * BIN_CENTERS[j])) / total : null;
+};
+
+module.exports = { chiSquareTest, ksTest, normalize, binnedMean, gammaQ };
@@ -0,0 +1,93 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Contact Store
+ * MISSION: Shared handle on contact.sqlite for the inbox, the delivery queue and researcher self-service.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. SAME FILE: The tables live next to contact_identities (routes/contact).
+ * A busy timeout lets this connection and the router's wait for each other
+ * instead of failing on a locked database.
+ * 2. SEALED COLUMNS: Columns named `sealed` only ever hold utils/sealer output.
+ * ================================================================================
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { open } = require('sqlite');
+const { logger } = require('./logger');
+const { registerCheck } = require('./health');
+
+const BUSY_TIMEOUT_MS = 5000;
+
+const sqlTimestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// DB INITIALIZATION
+const ready = (async () => {
+    const db = await open({ filename: path.join(__dirname, '../contact.sqlite'), driver: sqlite3.Database });
+    db.getDatabaseInstance().configure('busyTimeout', BUSY_TIMEOUT_MS);
+
+    await db.exec(`CREATE TABLE IF NOT EXISTS researcher_inboxes (
+        identity_id INTEGER PRIMARY KEY,
+        token_hash CHAR(64) NOT NULL,
+        enabled_at DATETIME NOT NULL
+    )`);
+    await db.exec(`CREATE TABLE IF NOT EXISTS contact_inbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identity_id INTEGER NOT NULL,
+        sealed TEXT NOT NULL,
+        received_at DATETIME NOT NULL,
+        archived_at DATETIME
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_inbox_identity ON contact_inbox (identity_id, archived_at)');
+    await db.exec(`CREATE TABLE IF NOT EXISTS outbound_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identity_id INTEGER,
+        kind VARCHAR(32) NOT NULL,
+        sealed TEXT,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL,
+        last_error TEXT,
+        created_at DATETIME NOT NULL,
+        sent_at DATETIME
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_outbound_due ON outbound_messages (status, next_attempt_at)');
+    await db.exec(`CREATE TABLE IF NOT EXISTS magic_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identity_id INTEGER NOT NULL,
+        purpose VARCHAR(16) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        new_email TEXT,
+        ip TEXT,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME
+    )`);
+    await db.exec(`CREATE TABLE IF NOT EXISTS manage_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identity_id INTEGER NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        ip TEXT,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL
+    )`);
+    await db.exec(`CREATE TABLE IF NOT EXISTS contact_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identity_id INTEGER NOT NULL,
+        action VARCHAR(32) NOT NULL,
+        detail TEXT,
+        ip TEXT,
+        created_at DATETIME NOT NULL
+    )`);
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_audit_identity ON contact_audit (identity_id)');
+    return db;
+})();
+ready.catch(err => logger.error("Contact Store Initialization Failure", { error: err.message }));
+
+// HEALTH: The vault file answers a query (GET /healthz)
+registerCheck('contact_vault', async () => {
+    const db = await ready;
+    await db.get('SELECT COUNT(*) AS identities FROM contact_identities');
+});
+
+module.exports = { ready, sqlTimestamp };
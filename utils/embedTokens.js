@@ -0,0 +1,58 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Embed Tokens
+ * MISSION: Unguessable public slugs and expiring, signed embed tokens for analyses.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. SLUGS: 128 bits of randomness (base64url) replace sequential ids in embed
+ * links, so analyses cannot be enumerated.
+ * 2. STATELESS TOKENS: A token is '<expiry>.<HMAC-SHA256(slug.expiry)>'. Nothing
+ * is stored server-side; a token only opens the slug it was signed for.
+ * 3. SECRET: EMBED_TOKEN_SECRET signs tokens. Without it, a per-process secret
+ * is generated and every token becomes invalid when the server restarts.
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const VISIBILITIES = ['private', 'unlisted', 'public'];
+const DEFAULT_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_TOKEN_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+let secret = process.env.EMBED_TOKEN_SECRET;
+if (!secret) {
+    logger.warn("Ephemeral Embed Signing", { setting: 'EMBED_TOKEN_SECRET', problem: 'missing', effect: 'embed tokens will not survive a restart' });
+    secret = crypto.randomBytes(32).toString('hex');
+}
+
+const generateSlug = () => crypto.randomBytes(16).toString('base64url');
+
+const sign = (slug, expires) => crypto.createHmac('sha256', secret).update(`${slug}.${expires}`).digest('base64url');
+
+/**
+ * Issues a token that opens one private analysis until it expires.
+ * @param {string} slug - The analysis' public slug.
+ * @param {number} ttlSeconds - Lifetime in seconds.
+ * @returns {object} - The token and its expiry (ISO 8601).
+ */
+const signEmbedToken = (slug, ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS) => {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return { token: `${expires}.${sign(slug, expires)}`, expiresAt: new Date(expires * 1000).toISOString() };
+};
+
+/**
+ * @returns {boolean} - True if the token was signed for this slug and has not expired.
+ */
+const verifyEmbedToken = (token, slug) => {
+    if (typeof token !== 'string' || !slug) return false;
+    const [expires, signature] = token.split('.');
+    if (!/^\d+$/.test(expires) || !signature) return false;
+    if (Number(expires) < Date.now() / 1000) return false;
+
+    const expected = Buffer.from(sign(slug, expires));
+    const given = Buffer.from(signature);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = { VISIBILITIES, DEFAULT_TOKEN_TTL_SECONDS, MAX_TOKEN_TTL_SECONDS, generateSlug, signEmbedToken, verifyEmbedToken };
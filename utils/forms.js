@@ -0,0 +1,101 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Poetic Form Registry
+ * MISSION: The fixed forms the poetic agent can write, and the meter each one demands.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. ONE ENTRY PER FORM: A form defines its line count, syllables per line
+ * (one number, or one per line as in the haiku), the rhyme schemes it allows
+ * (the first is the default; an empty list means unrhymed) and the languages
+ * it may be written in (the first is the default).
+ * 2. DEFAULTS: Without an explicit form, Tagalog themes get the tanaga and
+ * English themes the 8-syllable quatrain, as before the registry existed.
+ * ================================================================================
+ */
+
+const LANGUAGES = ['Tagalog', 'English'];
+
+const FORMS = {
+    tanaga: {
+        name: 'Tanaga',
+        description: 'Tagalog quatrain of heptasyllabic lines, traditionally monorhyme.',
+        languages: ['Tagalog', 'English'],
+        lines: 4,
+        syllables: 7,
+        rhymes: ['AAAA', 'AABB', 'ABAB', 'ABBA']
+    },
+    diona: {
+        name: 'Diona',
+        description: 'Tagalog tercet of heptasyllabic lines with a single rhyme, often a courtship or wedding verse.',
+        languages: ['Tagalog', 'English'],
+        lines: 3,
+        syllables: 7,
+        rhymes: ['AAA']
+    },
+    dalit: {
+        name: 'Dalit',
+        description: 'Tagalog quatrain of octosyllabic lines, traditionally monorhyme and devotional in tone.',
+        languages: ['Tagalog', 'English'],
+        lines: 4,
+        syllables: 8,
+        rhymes: ['AAAA', 'AABB', 'ABAB']
+    },
+    haiku: {
+        name: 'Haiku',
+        description: 'Unrhymed tercet of 5, 7 and 5 syllables anchored in a seasonal image.',
+        languages: ['English', 'Tagalog'],
+        lines: 3,
+        syllables: [5, 7, 5],
+        rhymes: []
+    },
+    quatrain: {
+        name: 'Quatrain',
+        description: 'English quatrain of octosyllabic lines in iambic rhythm.',
+        languages: ['English'],
+        lines: 4,
+        syllables: 8,
+        rhymes: ['ABAB', 'AABB', 'ABBA', 'AAAA']
+    }
+};
+
+const DEFAULT_FORMS = { Tagalog: 'tanaga', English: 'quatrain' };
+
+/**
+ * Resolves a request's form, language and rhyme scheme.
+ * @param {object} choice - { form?, language?, rhyme? } from the request.
+ * @param {string} detected - Language detected from the theme ("Tagalog" or "English").
+ * @returns {object} - { id, name, description, language, lines, syllables, rhyme }.
+ * @throws {Error} - With a message fit for a 400 response.
+ */
+const resolveForm = ({ form, language, rhyme } = {}, detected) => {
+    let lang = null;
+    if (language !== undefined && language !== null && language !== '') {
+        lang = LANGUAGES.find(l => l.toLowerCase() === String(language).toLowerCase());
+        if (!lang) throw new Error(`language must be one of: ${LANGUAGES.join(', ')}`);
+    }
+
+    const id = form === undefined || form === null || form === '' ? DEFAULT_FORMS[lang || detected] : String(form).toLowerCase();
+    // Own keys only: '__proto__', 'constructor' and the like are unknown forms, not inherited objects
+    const spec = Object.hasOwn(FORMS, id) ? FORMS[id] : null;
+    if (!spec) throw new Error(`form must be one of: ${Object.keys(FORMS).join(', ')}`);
+
+    if (lang && !spec.languages.includes(lang)) throw new Error(`The ${spec.name} is written in ${spec.languages.join(' or ')}, not ${lang}`);
+    if (!lang) lang = spec.languages.includes(detected) ? detected : spec.languages[0];
+
+    let scheme = spec.rhymes[0] || null;
+    if (rhyme !== undefined && rhyme !== null && rhyme !== '') {
+        scheme = String(rhyme).toUpperCase();
+        if (!spec.rhymes.includes(scheme)) {
+            throw new Error(spec.rhymes.length ? `rhyme for the ${spec.name} must be one of: ${spec.rhymes.join(', ')}` : `The ${spec.name} is unrhymed`);
+        }
+    }
+
+    return { id, name: spec.name, description: spec.description, language: lang, lines: spec.lines, syllables: spec.syllables, rhyme: scheme };
+};
+
+/**
+ * @returns {Array<object>} - The registry, for form pickers.
+ */
+const listForms = () => Object.entries(FORMS).map(([id, spec]) => ({ id, ...spec }));
+
+module.exports = { LANGUAGES, FORMS, resolveForm, listForms };
@@ -0,0 +1,59 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Health Registry
+ * MISSION: Dependency checks behind GET /healthz (routes/ops).
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. SELF-REGISTERING: Each module registers the check for what it owns (the
+ * sentiment DB, the contact vault, the mail transport, the LLM provider).
+ * 2. CRITICAL VS DEGRADED: A failed critical check (a database) makes the hub
+ * 'down' (503). A failed non-critical one (mail, LLM) makes it 'degraded' but
+ * still 200: the rest of the hub keeps serving.
+ * 3. BOUNDED: Every check is cut off after HEALTH_TIMEOUT_MS (default 3000).
+ * Failures report a short, scrubbed message (utils/logger), never credentials.
+ * ================================================================================
+ */
+
+const { scrub } = require('./logger');
+
+const TIMEOUT_MS = Number(process.env.HEALTH_TIMEOUT_MS || 3000);
+const checks = [];
+
+/**
+ * @param {string} name - e.g. 'sentiment_db'.
+ * @param {Function} check - Async; resolves to an optional detail string, throws when unhealthy.
+ * @param {object} [options] - { critical (default true) }.
+ */
+const registerCheck = (name, check, { critical = true } = {}) => {
+    checks.push({ name, check, critical });
+};
+
+const withTimeout = (promise) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${TIMEOUT_MS} ms.`)), TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Runs every check in parallel.
+ * @returns {Promise<object>} - { status: 'ok' | 'degraded' | 'down', checks: { [name]: { ok, critical, ms, detail?, error? } } }.
+ */
+const runChecks = async () => {
+    const results = await Promise.all(checks.map(async ({ name, check, critical }) => {
+        const started = Date.now();
+        try {
+            const detail = await withTimeout(Promise.resolve().then(check));
+            return [name, { ok: true, critical, ms: Date.now() - started, ...(detail ? { detail } : {}) }];
+        } catch (err) {
+            return [name, { ok: false, critical, ms: Date.now() - started, error: scrub(String(err.message || err)).slice(0, 200) }];
+        }
+    }));
+
+    const failed = results.filter(([, result]) => !result.ok);
+    const status = failed.some(([, result]) => result.critical) ? 'down' : failed.length ? 'degraded' : 'ok';
+    return { status, checks: Object.fromEntries(results) };
+};
+
+module.exports = { registerCheck, runChecks };
@@ -0,0 +1,134 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Researcher Inbox
+ * MISSION: Opt-in, encrypted copies of the inquiries a researcher receives.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. OPT-IN: Nothing is stored for a researcher until they enable an inbox at
+ * provisioning. The widget still emails every inquiry either way.
+ * 2. ENCRYPTED AT REST: Sender, subject and message are sealed together
+ * (utils/sealer). Only ids and timestamps are stored in the clear.
+ * 3. ACCESS TOKEN: 'rt_<identity id>_<secret>', emailed to the researcher and
+ * stored as a SHA-256 digest, like the API keys (utils/apiKeys).
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const { ready, sqlTimestamp } = require('./contactDb');
+const { seal, unseal } = require('./sealer');
+
+const PREVIEW_CHARS = 140;
+
+const digest = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Turns on the inbox for an identity.
+ * @param {number} identityId - contact_identities.id.
+ * @param {object} [options] - { rotate }: issue a new token when the inbox already exists.
+ * @returns {Promise<string|null>} - The new plaintext token, or null if the inbox exists and rotate is off.
+ */
+const enableInbox = async (identityId, { rotate = false } = {}) => {
+    const db = await ready;
+    const existing = await db.get('SELECT identity_id FROM researcher_inboxes WHERE identity_id = ?', [identityId]);
+    if (existing && !rotate) return null;
+
+    const token = `rt_${identityId}_${crypto.randomBytes(32).toString('base64url')}`;
+    await db.run(
+        `INSERT INTO researcher_inboxes (identity_id, token_hash, enabled_at) VALUES (?, ?, ?)
+         ON CONFLICT(identity_id) DO UPDATE SET token_hash = excluded.token_hash`,
+        [identityId, digest(token), sqlTimestamp()]
+    );
+    return token;
+};
+
+/**
+ * @returns {Promise<boolean>}
+ */
+const isInboxEnabled = async (identityId) => {
+    const db = await ready;
+    return Boolean(await db.get('SELECT 1 AS found FROM researcher_inboxes WHERE identity_id = ?', [identityId]));
+};
+
+/**
+ * Resolves an access token to its identity.
+ * @returns {Promise<number|null>} - The identity id, or null if the token is unknown or malformed.
+ */
+const verifyInboxToken = async (token) => {
+    const match = /^rt_(\d+)_[A-Za-z0-9_-]{43}$/.exec(String(token || ''));
+    if (!match) return null;
+
+    const db = await ready;
+    const row = await db.get('SELECT identity_id, token_hash FROM researcher_inboxes WHERE identity_id = ?', [Number(match[1])]);
+    if (!row) return null;
+    const expected = Buffer.from(row.token_hash, 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(digest(token), 'hex')) ? row.identity_id : null;
+};
+
+/**
+ * Stores one (already redacted) inquiry.
+ * @param {number} identityId
+ * @param {object} inquiry - { senderEmail, subject, message }.
+ */
+const storeInquiry = async (identityId, { senderEmail, subject, message }) => {
+    const db = await ready;
+    await db.run(
+        'INSERT INTO contact_inbox (identity_id, sealed, received_at) VALUES (?, ?, ?)',
+        [identityId, seal({ senderEmail, subject, message }), sqlTimestamp()]
+    );
+};
+
+const toPublic = (row, full) => {
+    const { senderEmail, subject, message } = unseal(row.sealed);
+    const item = { id: row.id, senderEmail, subject, received_at: row.received_at, archived_at: row.archived_at };
+    if (full) item.message = message;
+    else item.preview = message.length > PREVIEW_CHARS ? `${message.slice(0, PREVIEW_CHARS)}…` : message;
+    return item;
+};
+
+/**
+ * @param {number} identityId
+ * @param {object} query - { archived (boolean), limit, offset }.
+ * @returns {Promise<object>} - { items (newest first, with previews), total }.
+ */
+const listInquiries = async (identityId, { archived = false, limit = 20, offset = 0 } = {}) => {
+    const db = await ready;
+    const where = `identity_id = ? AND archived_at IS ${archived ? 'NOT ' : ''}NULL`;
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM contact_inbox WHERE ${where}`, [identityId]);
+    const rows = await db.all(`SELECT * FROM contact_inbox WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [identityId, limit, offset]);
+    return { items: rows.map(row => toPublic(row, false)), total };
+};
+
+/**
+ * @returns {Promise<object|null>} - The full inquiry, or null if it is not in this identity's inbox.
+ */
+const getInquiry = async (identityId, id) => {
+    const db = await ready;
+    const row = await db.get('SELECT * FROM contact_inbox WHERE id = ? AND identity_id = ?', [id, identityId]);
+    return row ? toPublic(row, true) : null;
+};
+
+/**
+ * Archives or restores an inquiry.
+ * @returns {Promise<object|null>} - The updated inquiry, or null if it is not in this identity's inbox.
+ */
+const setArchived = async (identityId, id, archived) => {
+    const db = await ready;
+    const result = archived
+        ? await db.run('UPDATE contact_inbox SET archived_at = COALESCE(archived_at, ?) WHERE id = ? AND identity_id = ?', [sqlTimestamp(), id, identityId])
+        : await db.run('UPDATE contact_inbox SET archived_at = NULL WHERE id = ? AND identity_id = ?', [id, identityId]);
+    return result.changes ? getInquiry(identityId, id) : null;
+};
+
+/**
+ * @returns {Promise<boolean>} - Whether an inquiry was deleted.
+ */
+const deleteInquiry = async (identityId, id) => {
+    const db = await ready;
+    const result = await db.run('DELETE FROM contact_inbox WHERE id = ? AND identity_id = ?', [id, identityId]);
+    return result.changes > 0;
+};
+
+module.exports = {
+    enableInbox, isInboxEnabled, verifyInboxToken,
+    storeInquiry, listInquiries, getInquiry, setArchived, deleteInquiry
+};
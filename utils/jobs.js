@@ -0,0 +1,110 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Job Registry
+ * MISSION: In-memory tracking of background ingest jobs for progress reporting.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. EPHEMERAL STATE: Jobs live in process memory only. They hold counters and
+ * the final aggregate id, never raw research text.
+ * 2. OBSERVABILITY: Each job carries its own EventEmitter so HTTP polling and
+ * Server-Sent Events streams read from the same source of truth.
+ * 3. CANCELLATION: Each job owns an AbortController; the worker that processes
+ * the job listens to its signal and tears down its own resources.
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const JOB_TTL_MS = 60 * 60 * 1000;     // Finished jobs are forgotten after one hour
+const PROGRESS_INTERVAL_MS = 250;      // Minimum gap between progress broadcasts
+const TERMINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+
+/**
+ * Registers a new job in the 'queued' state.
+ * @param {object} meta - Non-sensitive descriptors (e.g. title, bytesTotal).
+ * @returns {object} - The live job record.
+ */
+const createJob = (meta = {}) => {
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        title: meta.title || null,
+        rowsProcessed: 0,
+        rowsSkipped: 0,
+        bytesRead: 0,
+        bytesTotal: meta.bytesTotal || 0,
+        startedAt: Date.now(),
+        finishedAt: null,
+        aggregateId: null,
+        result: null,
+        error: null,
+        controller: new AbortController(),
+        events: new EventEmitter(),
+        lastBroadcast: 0
+    };
+    jobs.set(job.id, job);
+    return job;
+};
+
+const getJob = (id) => jobs.get(id);
+
+const isTerminal = (job) => TERMINAL_STATES.includes(job.status);
+
+/**
+ * Public view of a job. Strips the controller and emitter.
+ */
+const snapshot = (job) => ({
+    id: job.id,
+    status: job.status,
+    title: job.title,
+    rowsProcessed: job.rowsProcessed,
+    rowsSkipped: job.rowsSkipped,
+    progress: job.bytesTotal ? Math.min(1, job.bytesRead / job.bytesTotal) : null,
+    elapsedMs: (job.finishedAt || Date.now()) - job.startedAt,
+    aggregateId: job.aggregateId,
+    result: job.result,
+    error: job.error
+});
+
+/**
+ * Merges counters into the job and broadcasts a (throttled) progress event.
+ */
+const reportProgress = (job, patch) => {
+    if (isTerminal(job)) return;
+    Object.assign(job, patch, { status: 'running' });
+
+    const now = Date.now();
+    if (now - job.lastBroadcast >= PROGRESS_INTERVAL_MS) {
+        job.lastBroadcast = now;
+        job.events.emit('progress', snapshot(job));
+    }
+};
+
+/**
+ * Moves the job into a terminal state exactly once and schedules its eviction.
+ * @returns {boolean} - False if the job had already finished.
+ */
+const finishJob = (job, status, patch = {}) => {
+    if (isTerminal(job)) return false;
+    Object.assign(job, patch, { status, finishedAt: Date.now() });
+    job.events.emit('done', snapshot(job));
+    job.events.removeAllListeners();
+
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+    return true;
+};
+
+/**
+ * Requests cancellation. The worker observes the abort signal and cleans up.
+ * @returns {boolean} - False if the job was already finished.
+ */
+const cancelJob = (job) => {
+    if (isTerminal(job)) return false;
+    job.controller.abort();
+    return finishJob(job, 'cancelled');
+};
+
+module.exports = { createJob, getJob, isTerminal, snapshot, reportProgress, finishJob, cancelJob };
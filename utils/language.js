@@ -0,0 +1,101 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Language Identifier
+ * MISSION: Offline, per-row language detection for the multilingual scorer.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. SCRIPT FIRST: Rows written mostly in a non-Latin script are unsupported and
+ * labelled with their ISO 15924 script (e.g. 'und-Cyrl').
+ * 2. FUNCTION WORDS: Latin-script rows are scored by hits against small
+ * function-word lists. Words shared by two languages are omitted. Tagalog
+ * also counts words from the bundled lexicon, so one-word rows such as
+ * "napakaganda" are still recognized.
+ * 3. TAGLISH: Rows with both English and Tagalog function words, neither
+ * above 80% of the hits, are labelled 'taglish'.
+ * 4. DEFAULT: Rows with no recognizable words (emoji, slang, numbers) stay
+ * English, which is what VADER scored before detection existed.
+ * ================================================================================
+ */
+
+const { isTagalogWord } = require('./lexicons/tagalog');
+
+const SUPPORTED_LANGUAGES = ['en', 'tl', 'taglish'];
+const DOMINANT_SHARE = 0.8;
+
+const words = (list) => new Set(list.split(/\s+/).filter(Boolean));
+
+const FUNCTION_WORDS = {
+    en: words(`the an and is are was were be been being to of in on for with this that these those it its
+        you he she we they my your our their me him her them not but or so very just have has had
+        do does did don't can can't will would should what why how when where who which there here
+        if then than because about from by all more really like got i'm it's im too also only`),
+    tl: words(`ang ng mga sa ay ako ikaw ka siya kami tayo kayo sila ko mo niya namin natin ninyo nila
+        ito iyan iyon yan yun yung dito diyan doon hindi wala walang huwag wag po opo oo lang naman talaga
+        din rin ba pa nga daw raw pala muna sana kasi kaya dahil kung kapag pag habang ano sino saan
+        bakit paano kailan alin nang lahat sobrang napaka siguro ngayon kanina kay sina nina`),
+    es: words(`el los las que es con una muy está del al lo su como más también cuando hay nos
+        te se eso esto pues gracias bueno qué`),
+    pt: words(`não você eu com muito uma mas isso ele ela nós seu sua também quando tem foi
+        obrigado obrigada é`),
+    fr: words(`le les des est et je tu il nous vous pas avec pour dans ce qui du au mais très c'est j'ai
+        suis ça sont elle ils mon mes sur`),
+    de: words(`der das und ist nicht ich ein eine mit auf für sehr aber den dem sie wir ihr mein dein
+        zu auch nur noch wie sind habe kein wenn oder dass schon`),
+    id: words(`yang dan ini itu tidak dengan untuk aku kamu sudah juga bisa tapi akan dari ke belum sangat
+        saja karena kalau atau`)
+};
+
+// Non-Latin scripts, tested in order; the first with the most letters labels the row
+const SCRIPTS = [
+    ['Jpan', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+    ['Hani', /\p{Script=Han}/gu],
+    ['Hang', /\p{Script=Hangul}/gu],
+    ['Cyrl', /\p{Script=Cyrillic}/gu],
+    ['Arab', /\p{Script=Arabic}/gu],
+    ['Hebr', /\p{Script=Hebrew}/gu],
+    ['Grek', /\p{Script=Greek}/gu],
+    ['Thai', /\p{Script=Thai}/gu],
+    ['Deva', /\p{Script=Devanagari}/gu]
+];
+
+const countMatches = (text, pattern) => (text.match(pattern) || []).length;
+
+/**
+ * Identifies the language of one row.
+ * @param {string} text - Row text (already redacted).
+ * @returns {object} - { language, supported }. language is 'en' | 'tl' | 'taglish', an ISO 639-1
+ * code for recognized unsupported languages, or 'und-<Script>' for non-Latin scripts.
+ */
+const detectLanguage = (text) => {
+    const letters = countMatches(text, /\p{L}/gu);
+    const latin = countMatches(text, /\p{Script=Latin}/gu);
+
+    if (letters && latin / letters < 0.5) {
+        // Japanese mixes kana with Han characters, so any kana wins over Han
+        const counts = SCRIPTS.map(([code, pattern]) => [code, countMatches(text, pattern)]);
+        const [script] = counts[0][1] ? counts[0] : counts.reduce((best, c) => (c[1] > best[1] ? c : best), ['Zyyy', 0]);
+        return { language: `und-${script}`, supported: false };
+    }
+
+    const tokens = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+    const hits = Object.fromEntries(Object.keys(FUNCTION_WORDS).map(lang => [lang, 0]));
+    for (const token of tokens) {
+        for (const [lang, list] of Object.entries(FUNCTION_WORDS)) {
+            if (list.has(token)) hits[lang]++;
+        }
+        if (!FUNCTION_WORDS.tl.has(token) && isTagalogWord(token)) hits.tl++;
+    }
+
+    const { en, tl, ...others } = hits;
+    const [otherLang, otherHits] = Object.entries(others).reduce((best, o) => (o[1] > best[1] ? o : best));
+    if (otherHits > en + tl && (otherHits >= 2 || tokens.length <= 3)) return { language: otherLang, supported: false };
+
+    if (!tl) return { language: 'en', supported: true };
+    if (!en) return { language: 'tl', supported: true };
+    const tagalogShare = tl / (en + tl);
+    if (tagalogShare >= DOMINANT_SHARE) return { language: 'tl', supported: true };
+    if (tagalogShare <= 1 - DOMINANT_SHARE) return { language: 'en', supported: true };
+    return { language: 'taglish', supported: true };
+};
+
+module.exports = { SUPPORTED_LANGUAGES, detectLanguage };
@@ -0,0 +1,134 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Lexicon Profiles
+ * MISSION: Domain dictionaries that add to or override VADER word valences.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. NO FORK OF VADER: vader-sentiment keeps its lexicon private, so custom
+ * words are scored by wrapping its valence step. VADER's adjustments (caps
+ * emphasis, boosters, negation, "least") are affine in the base valence, so
+ * the custom word's valence is projected through two reference words of the
+ * same sign. Every rule VADER applies to a stock word applies to a custom one.
+ * 2. SCOPED OVERRIDES: A profile is active only for the synchronous duration
+ * of one scoring call. Concurrent ingests with different profiles never mix.
+ * 3. LIMITS: Entries are single lower-case tokens (VADER splits on whitespace)
+ * with valences on VADER's -4..+4 scale. A valence of 0 neutralizes a stock
+ * word. Booster words ("very", "really") keep their built-in behaviour.
+ * ================================================================================
+ */
+
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const vader = require('vader-sentiment');
+
+const BUILTIN_LEXICON = 'vader';
+const MAX_VALENCE = 4;
+const MAX_ENTRIES = 10000;
+const MAX_WORD_LENGTH = 64;
+
+const Analyzer = vader.SentimentIntensityAnalyzer;
+const builtInValence = Analyzer.sentiment_valence;
+
+// Stock lexicon valences of the reference words (vader-sentiment 1.1.3)
+const REFERENCE = {
+    positive: [['good', 1.9], ['great', 3.1]],
+    negative: [['sad', -2.1], ['bad', -2.5]]
+};
+
+let active = null; // Map(word -> valence) for the call in progress, see design note 2
+
+Analyzer.sentiment_valence = function (valence, sentiText, item, index, sentiments) {
+    const custom = active ? active.get(item.toLowerCase()) : undefined;
+    if (custom === undefined) return builtInValence.call(this, valence, sentiText, item, index, sentiments);
+    if (custom === 0) {
+        sentiments.push(0);
+        return sentiments;
+    }
+
+    // Reference words inherit the item's casing so the ALL-CAPS emphasis rule still fires
+    const upper = item === item.toUpperCase() && item !== item.toLowerCase();
+    const [[w1, v1], [w2, v2]] = custom > 0 ? REFERENCE.positive : REFERENCE.negative;
+    const probe = (word) => builtInValence.call(this, 0, sentiText, upper ? word.toUpperCase() : word, index, [])[0];
+    const r1 = probe(w1);
+    const slope = (probe(w2) - r1) / (v2 - v1);
+
+    sentiments.push(r1 + slope * (custom - v1));
+    return sentiments;
+};
+
+/**
+ * Runs VADER with a lexicon profile applied.
+ * @param {string} text - Text to score.
+ * @param {Map<string, number>} [entries] - Word valences that add to or override the stock lexicon.
+ * @returns {object} - VADER's { neg, neu, pos, compound }.
+ */
+const polarityScores = (text, entries = null) => {
+    active = entries && entries.size ? entries : null;
+    try {
+        return Analyzer.polarity_scores(text);
+    } finally {
+        active = null;
+    }
+};
+
+/**
+ * Validates raw { word, valence } pairs into a profile map.
+ * @param {Array<Array>} pairs - [word, valence, source line] triples.
+ * @returns {Map<string, number>}
+ */
+const toEntries = (pairs) => {
+    if (!pairs.length) throw new Error('Lexicon has no entries.');
+    if (pairs.length > MAX_ENTRIES) throw new Error(`Lexicon exceeds ${MAX_ENTRIES} entries.`);
+
+    const entries = new Map();
+    for (const [rawWord, rawValence, where] of pairs) {
+        const word = String(rawWord ?? '').trim().toLowerCase();
+        const valence = typeof rawValence === 'string' && rawValence.trim() !== '' ? Number(rawValence) : rawValence;
+
+        if (!word || /\s/.test(word) || word.length > MAX_WORD_LENGTH) {
+            throw new Error(`${where}: word must be a single token of at most ${MAX_WORD_LENGTH} characters.`);
+        }
+        if (typeof valence !== 'number' || !Number.isFinite(valence) || Math.abs(valence) > MAX_VALENCE) {
+            throw new Error(`${where}: valence for "${word}" must be a number between -${MAX_VALENCE} and ${MAX_VALENCE}.`);
+        }
+        if (entries.has(word)) throw new Error(`${where}: "${word}" is listed more than once.`);
+        entries.set(word, valence);
+    }
+    return entries;
+};
+
+/**
+ * Parses an uploaded lexicon. JSON is either { "word": valence } or [{ "word", "valence" }];
+ * CSV needs a header row with `word` and `valence` columns.
+ * @param {Buffer} buffer - File contents.
+ * @param {string} format - 'json' or 'csv'.
+ * @returns {Promise<Map<string, number>>}
+ */
+const parseLexicon = async (buffer, format) => {
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+        } catch (err) {
+            throw new Error(`Lexicon is not valid JSON: ${err.message}`);
+        }
+        if (Array.isArray(data)) return toEntries(data.map((e, i) => [e && e.word, e && e.valence, `Entry ${i + 1}`]));
+        if (data && typeof data === 'object') return toEntries(Object.entries(data).map(([w, v]) => [w, v, `Key "${w}"`]));
+        throw new Error('JSON lexicon must be an object of word valences or an array of { word, valence }.');
+    }
+
+    const pairs = [];
+    let missingHeader = false;
+    await new Promise((resolve, reject) => {
+        Readable.from(buffer)
+            .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+            .on('headers', (headers) => { missingHeader = !headers.includes('word') || !headers.includes('valence'); })
+            .on('data', (row) => pairs.push([row.word, row.valence, `Line ${pairs.length + 2}`]))
+            .on('end', resolve)
+            .on('error', reject);
+    });
+    if (missingHeader) throw new Error('CSV lexicon needs a header row with "word" and "valence" columns.');
+    return toEntries(pairs);
+};
+
+module.exports = { BUILTIN_LEXICON, MAX_VALENCE, MAX_ENTRIES, polarityScores, parseLexicon };
@@ -0,0 +1,105 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Tagalog Lexicon
+ * MISSION: Offline Tagalog/Taglish valences for the multilingual scorer.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. VADER SCALE: Valences use VADER's -4..+4 scale and are layered on top of
+ * the stock English lexicon, so Taglish rows score both vocabularies.
+ * 2. GRAMMAR BRIDGE: Tagalog negators, intensifiers and contrastive conjunctions
+ * are rewritten to their English VADER equivalents ("hindi" -> "not",
+ * "sobrang" -> "very", "pero" -> "but") so VADER's rules apply unchanged.
+ * 3. MORPHOLOGY: Linker forms (masaya -> masayang), the "nakaka-" adjective
+ * prefix and the "napaka-"/"pinaka-" intensifier prefixes resolve to the
+ * root word. Everything else must be listed explicitly.
+ * 4. TAGLISH SAFETY: Words that are also everyday English ("away", "bait") are
+ * left out so English clauses in Taglish rows keep their stock meaning.
+ * ================================================================================
+ */
+
+const VALENCES = {
+    // Positive
+    mabuti: 1.9, buti: 1.5, mahusay: 2.3, husay: 2.0, magaling: 2.3, galing: 2.1, lupet: 2.0,
+    maganda: 2.3, ganda: 2.0, marikit: 2.2, gwapo: 2.0, pogi: 1.9, astig: 2.0, petmalu: 2.2, lodi: 1.9, bongga: 2.1,
+    masaya: 2.4, saya: 2.1, maligaya: 2.5, ligaya: 2.3, galak: 2.3, natutuwa: 2.2, tuwa: 2.0, masigla: 1.9,
+    kilig: 2.3, kinikilig: 2.3, nakakatawa: 1.6, tawa: 1.2, ngiti: 1.8, nakangiti: 1.9, yehey: 2.4,
+    masarap: 2.1, sarap: 1.9, sulit: 1.8, libre: 1.3, perpekto: 2.7,
+    mabait: 2.1, kabaitan: 2.0, mapagmahal: 2.5, pagmamahal: 2.6, minamahal: 2.4, mahal: 1.2, 'pag-ibig': 2.8, pagibig: 2.8,
+    mapagbigay: 2.1, matulungin: 2.1, tulong: 1.3, suporta: 1.4, tapat: 1.8, katapatan: 1.9, tiwala: 1.6,
+    salamat: 1.9, pasasalamat: 2.0, nagpapasalamat: 2.0, saludo: 2.0, hanga: 2.0, humahanga: 2.1, 'kahanga-hanga': 2.6,
+    ipinagmamalaki: 2.2, bida: 1.6, bayani: 2.0, bayanihan: 2.0, pagkakaisa: 1.9,
+    panalo: 2.3, tagumpay: 2.5, matagumpay: 2.5, swerte: 2.0, suwerte: 2.0, pinagpala: 2.4, biyaya: 2.1, pagpalain: 2.2,
+    'pag-asa': 1.8, pagasa: 1.8, masipag: 1.8, sipag: 1.5, matalino: 1.9, talino: 1.7, malinis: 1.5, maayos: 1.6, ayos: 1.3,
+    mapayapa: 2.0, payapa: 1.9, kapayapaan: 2.1, ligtas: 1.5, ginhawa: 1.8, maginhawa: 1.8, magaan: 1.2, komportable: 1.5,
+    kwenta: 1.2, kuwenta: 1.2, silbi: 1.0, pakinabang: 1.2,
+
+    // Negative
+    masama: -2.3, sama: -1.6, pangit: -2.1, panget: -2.1, kadiri: -2.1, nakakadiri: -2.3, suya: -1.5,
+    malungkot: -2.2, lungkot: -2.0, kalungkutan: -2.2, nalulungkot: -2.2, iyak: -1.8, umiiyak: -2.0, luha: -1.3,
+    pighati: -2.6, dusa: -2.5, pagdurusa: -2.6, kawawa: -2.0, 'kaawa-awa': -2.2, sayang: -1.6, nasayang: -1.7,
+    galit: -2.4, nagagalit: -2.4, inis: -1.9, naiinis: -2.0, bwisit: -2.4, buwisit: -2.4, badtrip: -2.1,
+    asar: -1.8, naaasar: -1.9, yamot: -1.8, ayaw: -1.2, ayoko: -1.3, sawa: -1.4,
+    takot: -1.9, natatakot: -2.0, kaba: -1.3, kinakabahan: -1.4, pagod: -1.5, napagod: -1.4,
+    hirap: -1.8, mahirap: -1.6, paghihirap: -2.2, nahihirapan: -1.8, sakit: -2.0, masakit: -2.1, sugat: -1.7,
+    bigo: -2.2, nabigo: -2.2, kabiguan: -2.3, talo: -1.9, natalo: -1.9, malas: -2.0, kamalasan: -2.1, lugi: -1.8, nalugi: -2.0,
+    problema: -1.7, gulo: -1.8, magulo: -1.6, kaguluhan: -2.0, 'nag-away': -1.9, awayan: -1.8, gyera: -2.5, digmaan: -2.6,
+    patay: -2.5, namatay: -2.3, kamatayan: -2.6, pumatay: -3.0, krimen: -2.5, sunog: -1.8, baha: -1.3,
+    magnanakaw: -2.6, nakaw: -2.2, ninakaw: -2.4, sinungaling: -2.6, kasinungalingan: -2.5,
+    daya: -2.1, dinaya: -2.3, mandaraya: -2.5, kurakot: -2.7, korap: -2.6, katiwalian: -2.6, abusado: -2.3,
+    tamad: -1.9, bobo: -2.4, tanga: -2.4, gago: -2.8, gaga: -2.6, ulol: -2.6, tarantado: -2.8, kupal: -2.6,
+    putangina: -3.1, puta: -2.8, leche: -2.1, lintik: -2.1, peste: -2.2, walanghiya: -2.7, bastos: -2.3,
+    epal: -1.8, plastik: -1.7, mayabang: -1.9, yabang: -1.7, inggit: -1.6, selos: -1.4, nagseselos: -1.5,
+    hiya: -1.2, kahihiyan: -2.1, pagsisisi: -1.6, nagsisisi: -1.6
+};
+
+// GRAMMAR BRIDGE (design note 2): Tagalog function words -> VADER's English equivalents
+const REWRITES = {
+    hindi: 'not', hinde: 'not', di: 'not', wala: 'not', walang: 'not', huwag: 'not', wag: 'not',
+    sobra: 'very', sobrang: 'very', talaga: 'really', grabe: 'extremely',
+    medyo: 'somewhat', konti: 'slightly', kaunti: 'slightly',
+    pero: 'but', ngunit: 'but', subalit: 'but'
+};
+const PREFIXES = { napaka: 'very', pinaka: 'most' };
+
+const entries = new Map(Object.entries(VALENCES));
+for (const [word, valence] of Object.entries(VALENCES)) {
+    // Linker: "-ng" after a vowel, "-g" after n (masayang araw, bigong pangarap, hirap stays hirap)
+    const linked = /[aeiou]$/.test(word) ? `${word}ng` : (word.endsWith('n') ? `${word}g` : null);
+    if (linked && !entries.has(linked)) entries.set(linked, valence);
+}
+
+/**
+ * Resolves one lower-case token against the morphology rules (design note 3).
+ */
+const rewriteToken = (token) => {
+    if (Object.hasOwn(REWRITES, token)) return REWRITES[token];
+    if (entries.has(token)) return token;
+    for (const [prefix, booster] of Object.entries(PREFIXES)) {
+        const root = token.slice(prefix.length);
+        if (token.startsWith(prefix) && entries.has(root)) return `${booster} ${root}`;
+    }
+    if (token.startsWith('nakaka') && entries.has(token.slice(6))) return token.slice(6);
+    return token;
+};
+
+/**
+ * @returns {boolean} - True if the lower-case token is in the lexicon or bridged by a grammar rule.
+ */
+const isTagalogWord = (token) => rewriteToken(token) !== token || entries.has(token);
+
+/**
+ * Rewrites Tagalog grammar into the form VADER's rules understand. ALL-CAPS content words
+ * stay upper-case for VADER's emphasis rule; bridged function words are always lower-case
+ * because VADER only recognizes lower-case negators.
+ * @param {string} text - Row text.
+ * @returns {string}
+ */
+const normalize = (text) => text.replace(/[\p{L}'-]+/gu, (word) => {
+    const lower = word.toLowerCase();
+    const rewritten = rewriteToken(lower);
+    if (rewritten === lower) return word;
+    const shouting = word === word.toUpperCase() && word !== lower;
+    return rewritten.split(' ').map(t => (shouting && entries.has(t) ? t.toUpperCase() : t)).join(' ');
+});
+
+module.exports = { entries, normalize, isTagalogWord };
@@ -0,0 +1,330 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign LLM Gateway
+ * MISSION: One completion interface for the poetic agents, whatever model serves it.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. PROVIDERS: 'mistral' (api.mistral.ai), 'openai' (any OpenAI-compatible
+ * /chat/completions server: OpenAI, Ollama, llama.cpp, vLLM...) and 'fixture'
+ * (deterministic, on-meter replies for offline tests). Each provider is an
+ * object { name, configured(), defaults(), complete(messages, settings, onDelta) };
+ * with onDelta the provider streams and reports each text fragment as it lands.
+ * 2. SELECTION: LLM_PROVIDER picks the default. A request may name another
+ * provider and override model, temperature and max tokens. The fixture writes
+ * fake poems, so a request may only name it when it is the default or
+ * LLM_ALLOW_FIXTURE=1 is set. Base URLs and
+ * credentials come from env only, so callers cannot point the server at
+ * arbitrary hosts.
+ * 3. RETRIES: Timeouts, network failures, 408, 429 and 5xx are retried with
+ * exponential backoff and jitter (LLM_MAX_RETRIES, LLM_RETRY_BASE_MS). A 429
+ * Retry-After is honoured when it is short enough to wait for. A stream is
+ * only retried before its first fragment reached the caller.
+ * 4. ERRORS: Failures are thrown as Errors with an HTTP `status` the route can
+ * send as is: 503 (provider not configured), 429 (upstream quota, with
+ * `retryAfter`), 504 (timeout), 400 (a requested override was rejected) and
+ * 502 (anything else upstream). Upstream bodies are logged, never returned.
+ * ================================================================================
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const { logger } = require('./logger');
+const { registerCheck } = require('./health');
+
+const SETTINGS = {
+    temperature: Number(process.env.LLM_TEMPERATURE || 0.1),
+    maxTokens: Number(process.env.LLM_MAX_TOKENS || 100),
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 20000),
+    maxRetries: Number(process.env.LLM_MAX_RETRIES || 2),
+    retryBaseMs: Number(process.env.LLM_RETRY_BASE_MS || 500)
+};
+const MAX_TOKENS_LIMIT = 2000;
+const MAX_RETRY_WAIT_MS = 10000;          // Longer Retry-After values are passed to the caller instead
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+const llmError = (status, message, extra = {}) => Object.assign(new Error(message), { status, ...extra });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reads Retry-After (seconds or HTTP date) in milliseconds; null when absent or unreadable.
+ */
+const retryAfterMs = (headers = {}) => {
+    const value = headers['retry-after'];
+    if (value === undefined) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Reads an OpenAI-style SSE completion stream ("data: {json}" lines, ending with "data: [DONE]").
+ * @returns {Promise<string>} - The whole completion.
+ */
+const readCompletionStream = (stream, { name, idleMs, onDelta }) => new Promise((resolve, reject) => {
+    let buffer = '';
+    let text = '';
+    let settled = false;
+    let timer = null;
+
+    const settle = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        stream.destroy();
+        if (err) reject(err);
+        else resolve(text);
+    };
+    const armIdleTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => settle(llmError(504, `The ${name} model stopped streaming.`)), idleMs);
+    };
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+        armIdleTimer();
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0 && !settled) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') return settle();
+            let delta;
+            try {
+                delta = JSON.parse(data).choices?.[0]?.delta?.content;
+            } catch (err) {
+                continue; // Keep-alive comments and partial frames carry no text
+            }
+            if (delta) {
+                text += delta;
+                onDelta(delta);
+            }
+        }
+    });
+    stream.on('end', () => settle());
+    stream.on('error', () => settle(llmError(502, `The ${name} stream broke off.`)));
+    armIdleTimer();
+});
+
+/**
+ * Adapter for OpenAI-style /chat/completions endpoints (Mistral speaks the same dialect).
+ */
+const chatCompletionsProvider = ({ name, baseUrl, apiKey, model }) => ({
+    name,
+    configured: () => Boolean(baseUrl() && (name !== 'mistral' || apiKey())),
+    defaults: () => ({ model: model() }),
+    complete: async (messages, settings, onDelta) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey()) headers.Authorization = `Bearer ${apiKey()}`;
+        const url = `${baseUrl().replace(/\/+$/, '')}/chat/completions`;
+        const body = { model: settings.model, messages, temperature: settings.temperature, max_tokens: settings.maxTokens };
+        const config = { headers, timeout: settings.timeoutMs, signal: settings.signal };
+
+        if (onDelta) {
+            const response = await axios.post(url, { ...body, stream: true }, { ...config, responseType: 'stream' });
+            return readCompletionStream(response.data, { name, idleMs: settings.timeoutMs, onDelta });
+        }
+
+        const response = await axios.post(url, body, config);
+
+        const content = response.data?.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') throw llmError(502, `${name} returned a response without a completion.`);
+        return content;
+    }
+});
+
+// Fixture vocabulary: two-syllable words fill a line, a one-syllable word evens it out
+const FIXTURE_WORDS = {
+    Tagalog: { two: ['araw', 'bayan', 'puso', 'tubig', 'hangin', 'ilaw', 'gabi', 'lupa'], one: ['sa', 'ko', 'at'] },
+    English: { two: ['morning', 'river', 'silver', 'window', 'golden', 'garden', 'meadow', 'open'], one: ['light', 'sea', 'wind', 'rain'] }
+};
+
+/**
+ * Reads the form from the poetic system prompt ("ONLY ONE 3-line poem in English",
+ * "METER: EXACTLY 5, 7 and 5 syllables") and writes a poem that meets its meter.
+ * Without those cues it writes a quatrain of 8 (English) or 7 (Tagalog) syllables.
+ */
+const fixturePoem = (system) => {
+    const shape = system.match(/ONLY ONE (\d+)-line poem in (\w+)/);
+    const language = shape && FIXTURE_WORDS[shape[2]] ? shape[2] : /poem in Tagalog/.test(system) ? 'Tagalog' : 'English';
+    const lines = shape ? Number(shape[1]) : 4;
+    const counts = (system.match(/METER: EXACTLY ([\d, and]+?) syllables/)?.[1].match(/\d+/g) || [language === 'Tagalog' ? 7 : 8]).map(Number);
+    const { two, one } = FIXTURE_WORDS[language];
+    let next = 0;
+    return Array.from({ length: lines }, (_, index) => {
+        const words = [];
+        for (let left = counts.length > 1 ? counts[index] ?? 0 : counts[0]; left > 0; left -= 2) {
+            words.push(left > 1 ? two[next++ % two.length] : one[index % one.length]);
+        }
+        const line = words.join(' ');
+        return line.charAt(0).toUpperCase() + line.slice(1);
+    }).join('\n');
+};
+
+/**
+ * Deterministic provider. Without LLM_FIXTURE_FILE it answers with an on-meter poem
+ * in the requested form (fixturePoem). LLM_FIXTURE_FILE may hold a JSON array of replies:
+ * the Nth reply of a conversation is element N (the last one repeats), so retry loops can be scripted.
+ */
+const fixtureProvider = {
+    name: 'fixture',
+    configured: () => true,
+    defaults: () => ({ model: 'fixture' }),
+    complete: async (messages, settings, onDelta) => {
+        const turn = messages.filter(m => m.role === 'assistant').length;
+        const file = process.env.LLM_FIXTURE_FILE;
+        let reply;
+        if (file) {
+            const replies = JSON.parse(fs.readFileSync(file, 'utf8'));
+            if (!Array.isArray(replies) || !replies.length) throw llmError(503, 'LLM_FIXTURE_FILE must hold a non-empty JSON array of replies.');
+            reply = String(replies[Math.min(turn, replies.length - 1)]);
+        } else {
+            reply = fixturePoem(messages.find(m => m.role === 'system')?.content || '');
+        }
+        // Streams one line per fragment
+        if (onDelta) reply.split(/(?<=\n)/).forEach(fragment => onDelta(fragment));
+        return reply;
+    }
+};
+
+const PROVIDERS = {
+    mistral: chatCompletionsProvider({
+        name: 'mistral',
+        baseUrl: () => process.env.MISTRAL_BASE_URL || 'https://api.mistral.ai/v1',
+        apiKey: () => process.env.MISTRAL_API_KEY,
+        model: () => process.env.MISTRAL_MODEL || 'mistral-tiny'
+    }),
+    openai: chatCompletionsProvider({
+        name: 'openai',
+        baseUrl: () => process.env.OPENAI_BASE_URL,
+        apiKey: () => process.env.OPENAI_API_KEY,
+        model: () => process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    }),
+    fixture: fixtureProvider
+};
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'mistral';
+const FIXTURE_ALLOWED = DEFAULT_PROVIDER === 'fixture' || ['1', 'true', 'on'].includes(String(process.env.LLM_ALLOW_FIXTURE || '').toLowerCase());
+// Providers a request may name (design note 2)
+const SELECTABLE = Object.keys(PROVIDERS).filter(name => name !== 'fixture' || FIXTURE_ALLOWED);
+
+if (!PROVIDERS[DEFAULT_PROVIDER]) {
+    logger.warn("Unknown LLM Provider", { setting: 'LLM_PROVIDER', value: DEFAULT_PROVIDER, expected: Object.keys(PROVIDERS) });
+} else if (!PROVIDERS[DEFAULT_PROVIDER].configured()) {
+    logger.warn("LLM Provider Not Configured", { provider: DEFAULT_PROVIDER, effect: 'the poetic agents will answer 503' });
+}
+
+// HEALTH: Configuration only; no model call is spent on a probe (GET /healthz)
+registerCheck('llm_provider', () => {
+    const provider = PROVIDERS[DEFAULT_PROVIDER];
+    if (!provider) throw new Error(`LLM_PROVIDER "${DEFAULT_PROVIDER}" is unknown.`);
+    if (!provider.configured()) throw new Error(`LLM provider "${provider.name}" is not configured.`);
+    return `${provider.name}/${provider.defaults().model}`;
+}, { critical: false });
+
+/**
+ * Validates per-request overrides (design note 2).
+ * @param {object} body - { provider?, model?, temperature?, max_tokens? }.
+ * @returns {object} - Options for complete().
+ * @throws {Error} - With a message fit for a 400 response.
+ */
+const parseOverrides = (body = {}) => {
+    const options = {};
+    if (body.provider !== undefined) {
+        const name = String(body.provider).toLowerCase();
+        if (!SELECTABLE.includes(name)) throw new Error(`provider must be one of: ${SELECTABLE.join(', ')}`);
+        options.provider = name;
+    }
+    if (body.model !== undefined) {
+        if (!/^[\w.:/-]{1,100}$/.test(String(body.model))) throw new Error('model must be a model name (letters, digits, . : / _ -)');
+        options.model = String(body.model);
+    }
+    if (body.temperature !== undefined) {
+        const temperature = Number(body.temperature);
+        if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) throw new Error('temperature must be a number between 0 and 2');
+        options.temperature = temperature;
+    }
+    if (body.max_tokens !== undefined) {
+        const maxTokens = Number(body.max_tokens);
+        if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > MAX_TOKENS_LIMIT) {
+            throw new Error(`max_tokens must be an integer between 1 and ${MAX_TOKENS_LIMIT}`);
+        }
+        options.maxTokens = maxTokens;
+    }
+    return options;
+};
+
+/**
+ * Maps a failed upstream call to a routable error (design note 4).
+ */
+const toLlmError = (err, provider, overridden) => {
+    if (!err.isAxiosError) return err;
+    if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return llmError(504, `The ${provider} model did not answer in time.`);
+
+    const upstream = err.response?.status;
+    if (!upstream) return llmError(502, `The ${provider} model is unreachable.`);
+    if (upstream === 429) {
+        const wait = retryAfterMs(err.response.headers);
+        return llmError(429, `The ${provider} model is rate-limited; try again later.`, { retryAfter: Math.ceil((wait ?? 60000) / 1000) });
+    }
+    if (upstream === 401 || upstream === 403) return llmError(502, `The ${provider} model rejected the server's credentials.`);
+    if ([400, 404, 422].includes(upstream) && overridden) return llmError(400, `The ${provider} model rejected the requested model or parameters.`);
+    return llmError(502, `The ${provider} model failed (HTTP ${upstream}).`);
+};
+
+/**
+ * Runs one chat completion with retries (design notes 3-4); streams when onDelta is given.
+ */
+const run = async (messages, options, onDelta) => {
+    const provider = PROVIDERS[options.provider || DEFAULT_PROVIDER];
+    if (!provider) throw llmError(503, `LLM provider "${options.provider || DEFAULT_PROVIDER}" is unknown.`);
+    if (!provider.configured()) throw llmError(503, `LLM provider "${provider.name}" is not configured on this server.`);
+
+    const settings = { ...SETTINGS, ...provider.defaults(), ...options };
+    const overridden = ['model', 'temperature', 'maxTokens'].some(k => options[k] !== undefined);
+    let delivered = false;
+    const relay = onDelta && ((delta) => { delivered = true; onDelta(delta); });
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const text = (await provider.complete(messages, settings, relay)).trim();
+            if (!text) throw llmError(502, `The ${provider.name} model returned an empty completion.`);
+            return { text, provider: provider.name, model: settings.model, attempts: attempt };
+        } catch (err) {
+            const upstream = err.response?.status;
+            const retryable = err.isAxiosError && err.code !== 'ERR_CANCELED' && !delivered && (!upstream || RETRYABLE_STATUS.includes(upstream));
+            const hinted = upstream === 429 ? retryAfterMs(err.response.headers) : null;
+            const backoff = hinted ?? SETTINGS.retryBaseMs * 2 ** (attempt - 1) * (0.5 + Math.random());
+
+            if (!retryable || attempt > SETTINGS.maxRetries || backoff > MAX_RETRY_WAIT_MS) {
+                // Streamed error bodies are not buffered, so only their status is logged
+                const data = err.response?.data;
+                const detail = typeof data?.pipe === 'function' ? '' : JSON.stringify(data ?? '').slice(0, 500);
+                logger.error("LLM Provider Failure", { provider: provider.name, upstreamStatus: upstream, detail: upstream ? detail : err.message });
+                throw toLlmError(err, provider.name, overridden);
+            }
+            await sleep(backoff);
+        }
+    }
+};
+
+/**
+ * Runs one chat completion.
+ * @param {Array<object>} messages - [{ role, content }].
+ * @param {object} [options] - { provider, model, temperature, maxTokens } (see parseOverrides), plus an AbortSignal as `signal`.
+ * @returns {Promise<object>} - { text, provider, model, attempts }.
+ * @throws {Error} - With `status` (and `retryAfter` for 429).
+ */
+const complete = (messages, options = {}) => run(messages, options, null);
+
+/**
+ * Runs one chat completion, reporting text fragments as they arrive.
+ * @param {Array<object>} messages - [{ role, content }].
+ * @param {object} options - As for complete().
+ * @param {Function} onDelta - Called with each text fragment.
+ * @returns {Promise<object>} - As for complete(); `text` is the whole completion.
+ */
+const stream = (messages, options, onDelta) => run(messages, options || {}, onDelta);
+
+module.exports = { PROVIDERS, DEFAULT_PROVIDER, parseOverrides, complete, stream };
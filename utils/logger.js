@@ -0,0 +1,114 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Structured Logger
+ * MISSION: One JSON object per line for every request and runtime event.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. SHAPE: { time, level, msg, ...fields }. LOG_LEVEL (debug | info | warn |
+ * error, default info) drops quieter lines.
+ * 2. NO SECRETS, NO PII: Fields whose names look sensitive (passwords, keys,
+ * tokens, emails, IPs...) are replaced with '[redacted]', and every string is
+ * scrubbed of email addresses, hub tokens (sk_, ml_, ms_, rt_), bearer
+ * credentials and secret query parameters before it is written.
+ * 3. REQUESTS: requestLogger tags each request with an id (a well-formed
+ * incoming X-Request-Id, or a new UUID), echoes it in X-Request-Id, and logs
+ * one 'request' line with the route template, never the raw URL, which can
+ * carry slugs and tokens.
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const THRESHOLD = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+const SENSITIVE_FIELD = /pass|secret|token|key|auth|cookie|session|captcha|email|address/i;
+const IP_FIELD = /^ip$|Ip$|_ip$/;
+const SCRUBBERS = [
+    [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]'],
+    [/\b(?:sk|ml|ms|rt)_[A-Za-z0-9_-]{8,}/g, '[token]'],
+    [/\bBearer\s+\S+/gi, 'Bearer [token]'],
+    [/([?&](?:secret|response|token|key|api_key)=)[^&\s]*/gi, '$1[redacted]']
+];
+const REQUEST_ID = /^[A-Za-z0-9._-]{8,64}$/;
+
+/**
+ * Applies design note 2 to one value (recursing into plain objects and arrays).
+ */
+const scrub = (value, depth = 0) => {
+    if (typeof value === 'string') return SCRUBBERS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    if (value instanceof Error) return scrub(value.message, depth);
+    if (!value || typeof value !== 'object' || depth > 4) return value;
+    if (Array.isArray(value)) return value.map(item => scrub(item, depth + 1));
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [
+        name,
+        (SENSITIVE_FIELD.test(name) || IP_FIELD.test(name)) && item !== null && item !== undefined && typeof item !== 'boolean' ? '[redacted]' : scrub(item, depth + 1)
+    ]));
+};
+
+const write = (level, msg, fields = {}) => {
+    if (LEVELS[level] < THRESHOLD) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...scrub(fields) });
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * The matched route template (e.g. '/api/contact/inbox/:id'), 'static' for files
+ * from /public, or 'unmatched'. Also used as the metrics label (utils/metrics).
+ */
+const routeLabel = (req, res) => {
+    if (req.route) {
+        const base = req.routeBase ?? req.baseUrl;
+        return `${base}${req.route.path === '/' && base ? '' : req.route.path}`;
+    }
+    return res.statusCode < 400 && req.method === 'GET' ? 'static' : 'unmatched';
+};
+
+/**
+ * Middleware: request ids and the per-request log line (design note 3).
+ * @param {Function} [onFinish] - Called with (req, res, route, seconds) once the response is over.
+ */
+const requestLogger = (onFinish = null) => (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    const started = process.hrtime.bigint();
+
+    // Express restores req.baseUrl once a request leaves a router (e.g. on its way to the error
+    // boundary) but keeps req.route, so the mount path is recorded when the route is matched
+    let matched;
+    Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => matched,
+        set: (route) => {
+            matched = route;
+            req.routeBase = req.baseUrl;
+        }
+    });
+
+    // 'close' also fires when a client drops a stream (SSE) before the response ends
+    res.on('close', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const route = routeLabel(req, res);
+        if (onFinish) onFinish(req, res, route, seconds);
+        write(res.statusCode >= 500 ? 'error' : 'info', 'request', {
+            requestId: req.id,
+            method: req.method,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000 * 10) / 10,
+            client: req.apiKey ? req.apiKey.prefix : undefined // The public key prefix (utils/apiKeys)
+        });
+    });
+    next();
+};
+
+module.exports = { logger, scrub, routeLabel, requestLogger };
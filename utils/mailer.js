@@ -3,57 +3,187 @@
  * PROJECT: Sovereign Mailer Service
  * MISSION: Authenticated SMTP transport for direct researcher dispatches.
  * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. COMPOSE, THEN DELIVER: Messages are built (and redacted) first, so the
+ * delivery queue (utils/outbox) can store them and deliver them later.
+ * 2. TRANSPORTS: MAIL_TRANSPORT=smtp (default) uses SMTP_HOST/PORT/SECURE and
+ * optional SMTP_USER/PASS, which also fits a local sink such as Mailpit on
+ * port 1025. MAIL_TRANSPORT=file writes each message as an .eml file to
+ * MAIL_DIR, so the contact flow can be exercised offline.
+ * 3. HEALTH: GET /healthz verifies the SMTP connection (and login), reusing the
+ * result for SMTP_VERIFY_CACHE_MS (default 60 s) so probes do not hammer the
+ * server. The file transport only needs a writable MAIL_DIR.
  * ================================================================================
  */
 
+const fs = require('fs');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const { defaultRules, createRedactor, mergeCounts } = require('./redactor');
+const { logger } = require('./logger');
+const { registerCheck } = require('./health');
 
 /**
- * Creates the reusable SMTP transporter.
+ * Project-level redaction for inquiry bodies. Contact details are kept by
+ * default (the researcher needs them to reply); card numbers and SSNs are not.
+ * Override with PII_RULES_CONTACT.
+ */
+const CONTACT_DEFAULT_RULES = ['card', 'ssn'];
+
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'smtp').toLowerCase();
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '../mail-outbox');
+const FROM = `"Sovereign Hub Agent" <${process.env.MAIL_FROM || process.env.SMTP_USER || 'hub@localhost'}>`;
+
+/**
+ * Creates the reusable transporter (design note 2).
  * Configuration is pulled from environment variables (.env) to maintain 
  * credential security.
  */
-const transporter = nodemailer.createTransport({
-    host: process.env.SMTP_HOST,
-    port: 465,
-    secure: true, // Port 465 (SSL/TLS)
-    auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
+const createTransporter = () => {
+    if (MAIL_TRANSPORT === 'file') return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    if (MAIL_TRANSPORT !== 'smtp') logger.warn("Unknown Mail Transport", { setting: 'MAIL_TRANSPORT', value: MAIL_TRANSPORT, fallback: 'smtp' });
+
+    const port = Number(process.env.SMTP_PORT || 465);
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE !== 'false' : port === 465, // Port 465 (SSL/TLS)
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+};
+const transporter = createTransporter();
+
+const SMTP_VERIFY_CACHE_MS = Number(process.env.SMTP_VERIFY_CACHE_MS || 60 * 1000);
+let smtpVerification = null;
+
+// HEALTH: Transport reachability (design note 3); mail is optional, so the hub is only 'degraded' without it
+registerCheck('mail_transport', async () => {
+    if (MAIL_TRANSPORT === 'file') {
+        await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+        await fs.promises.access(MAIL_DIR, fs.constants.W_OK);
+        return 'file';
     }
-});
+    if (!smtpVerification || Date.now() - smtpVerification.at > SMTP_VERIFY_CACHE_MS) {
+        smtpVerification = { at: Date.now(), result: transporter.verify().then(() => 'smtp') };
+    }
+    return smtpVerification.result;
+}, { critical: false });
 
 /**
- * DISPATCHER: sendInquiry
+ * TRANSPORT: deliver
+ * Sends one composed message. With the file transport the message lands in MAIL_DIR.
+ * @param {object} mail - nodemailer message options.
+ * @throws {Error} - The transport's own error (the queue records its message).
+ */
+const deliver = async (mail) => {
+    const info = await transporter.sendMail(mail);
+    if (MAIL_TRANSPORT === 'file') {
+        await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+        const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(MAIL_DIR, name), info.message);
+    }
+    return info;
+};
+
+// Public form input is stored and replayed by the queue, so it is escaped before it enters the HTML body
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+/**
+ * COMPOSER: composeInquiry
  * Purpose: Routes inquiries directly to the provisioned researcher.
- * Privacy Check: Explicitly excludes BCC/CC to Hub administrators.
+ * Privacy Check: Explicitly excludes BCC/CC to Hub administrators and scrubs
+ * the subject and message through the shared redaction engine.
+ * Sender and message are HTML-escaped in the body; `inquiry` keeps the plain (redacted) text.
+ * @param {object} [options] - { rules (redaction rules, default: the contact project rule set),
+ * stored (a copy is kept in the researcher's inbox; changes the footer) }.
+ * @returns {object} - { mail, inquiry (the redacted fields), redactions }.
  */
-const sendInquiry = async (researcherEmail, senderEmail, subject, message) => {
-    const mailOptions = {
-        from: `"Sovereign Hub Agent" <${process.env.SMTP_USER}>`,
+const composeInquiry = (researcherEmail, senderEmail, subject, message, { rules = defaultRules('contact', CONTACT_DEFAULT_RULES), stored = false } = {}) => {
+    const redact = createRedactor(rules);
+    const cleanSubject = redact(subject || '');
+    const cleanMessage = redact(message || '');
+    const redactions = mergeCounts({ ...cleanSubject.counts }, cleanMessage.counts);
+
+    const footer = stored
+        ? 'This inquiry was routed via the Sovereign Engine. An encrypted copy is kept in your inbox until you delete it.'
+        : 'This inquiry was routed via the Sovereign Engine. No data has been persisted.';
+
+    const mail = {
+        from: FROM,
         to: researcherEmail, // Dynamic Sovereign Routing
         replyTo: senderEmail, // Allows researcher to reply directly to inquirer
-        subject: `[Sovereign Hub] ${subject}`,
+        subject: `[Sovereign Hub] ${cleanSubject.text}`,
         html: `
             <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
                 <h2 style="color: #05386B;">New Institutional Inquiry</h2>
-                <p><b>Sender:</b> ${senderEmail}</p>
+                <p><b>Sender:</b> ${escapeHtml(senderEmail)}</p>
                 <hr style="border: 0; border-top: 1px solid #eee;">
-                <p style="white-space: pre-wrap;">${message}</p>
+                <p style="white-space: pre-wrap;">${escapeHtml(cleanMessage.text)}</p>
                 <p style="font-size: 11px; color: #64748b; margin-top: 20px;">
-                    This inquiry was routed via the Sovereign Engine. No data has been persisted.
+                    ${footer}
                 </p>
             </div>
         `
     };
 
-    try {
-        await transporter.sendMail(mailOptions);
-        return { success: true };
-    } catch (error) {
-        console.error("Mailer Dispatch Error:", error);
-        throw new Error("SMTP Gateway Handshake Failed.");
+    return { mail, inquiry: { senderEmail, subject: cleanSubject.text, message: cleanMessage.text }, redactions };
+};
+
+/**
+ * COMPOSER: composeInboxAccess
+ * The researcher's inbox access token goes to the provisioned address only, never into an HTTP response.
+ * @returns {object} - nodemailer message options.
+ */
+const composeInboxAccess = (researcherEmail, token) => ({
+    from: FROM,
+    to: researcherEmail,
+    subject: '[Sovereign Hub] Your contact inbox is enabled',
+    html: `
+        <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+            <h2 style="color: #05386B;">Contact Inbox Enabled</h2>
+            <p>Inquiries sent through your widget are now also kept, encrypted, in your Sovereign inbox.</p>
+            <p>Send this token as the <b>X-Researcher-Token</b> header to <code>/api/contact/inbox</code>. Keep it private.</p>
+            <p style="font-family: monospace; background: #f1f5f9; padding: 10px; word-break: break-all;">${token}</p>
+        </div>
+    `
+});
+
+const LINK_MAILS = {
+    manage: {
+        subject: '[Sovereign Hub] Manage your contact widget',
+        title: 'Manage Your Contact Widget',
+        body: 'Someone (hopefully you) asked to manage the contact widget registered to this address.'
+    },
+    email_change: {
+        subject: '[Sovereign Hub] Confirm your new contact address',
+        title: 'Confirm Your New Address',
+        body: 'Confirm that inquiries from your contact widget should be delivered to this address.'
     }
 };
 
-module.exports = { sendInquiry };
\ No newline at end of file
+/**
+ * COMPOSER: composeVerificationLink
+ * Magic-link mail proving the recipient owns the mailbox (see utils/researchers).
+ * @param {string} purpose - 'manage' or 'email_change'.
+ * @returns {object} - nodemailer message options.
+ */
+const composeVerificationLink = (to, link, purpose, minutes) => {
+    const copy = LINK_MAILS[purpose];
+    return {
+        from: FROM,
+        to,
+        subject: copy.subject,
+        html: `
+            <div style="font-family: sans-serif; padding: 20px; border: 1px solid #eee; border-radius: 8px;">
+                <h2 style="color: #05386B;">${copy.title}</h2>
+                <p>${copy.body}</p>
+                <p><a href="${link}" style="color: #379683; font-weight: bold;">Continue to the Sovereign Hub</a></p>
+                <p style="font-size: 11px; color: #64748b; margin-top: 20px;">
+                    The link works once and expires in ${minutes} minutes. If you did not ask for it, ignore this email.
+                </p>
+            </div>
+        `
+    };
+};
+
+module.exports = { composeInquiry, composeInboxAccess, composeVerificationLink, deliver };
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Metrics Registry
+ * MISSION: In-process counters and histograms, rendered in the Prometheus text format.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. ONE CATALOG: Every hub metric is declared at the bottom of this file, so
+ * GET /metrics (routes/ops) documents itself. Modules only call inc()/observe().
+ * 2. BOUNDED LABELS: Labels are route templates, methods, statuses, form ids and
+ * fixed outcome names; never ids, emails or free text.
+ * 3. EPHEMERAL: Values live in process memory and restart at zero, as
+ * Prometheus counters are expected to.
+ * ================================================================================
+ */
+
+const metrics = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const labelText = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+const pick = (labelNames, labels = {}) => Object.fromEntries(labelNames.map(name => [name, String(labels[name] ?? '')]));
+
+/**
+ * A monotonically increasing count per label set.
+ * @returns {object} - { inc(labels, amount = 1), total(labels), entries() }.
+ */
+const counter = (name, help, labelNames = []) => {
+    const series = new Map();
+    const metric = {
+        name, help, type: 'counter',
+        inc(labels, amount = 1) {
+            const picked = pick(labelNames, labels);
+            const key = JSON.stringify(picked);
+            const entry = series.get(key) || { labels: picked, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+        // Sums every series whose labels include the given ones
+        total(labels = {}) {
+            let sum = 0;
+            for (const entry of series.values()) {
+                if (Object.entries(labels).every(([label, value]) => entry.labels[label] === String(value))) sum += entry.value;
+            }
+            return sum;
+        },
+        entries: () => [...series.values()],
+        lines: () => [...series.values()].map(({ labels, value }) => `${name}${labelText(labels)} ${value}`)
+    };
+    metrics.push(metric);
+    return metric;
+};
+
+/**
+ * Observations in cumulative buckets, with _sum and _count.
+ * @returns {object} - { observe(labels, value) }.
+ */
+const histogram = (name, help, labelNames, buckets) => {
+    const series = new Map();
+    const metric = {
+        name, help, type: 'histogram',
+        observe(labels, value) {
+            const picked = pick(labelNames, labels);
+            const key = JSON.stringify(picked);
+            const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => { if (value <= bound) entry.counts[index]++; });
+            entry.sum += value;
+            entry.count++;
+            series.set(key, entry);
+        },
+        lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((bound, index) => `${name}_bucket${labelText({ ...labels, le: bound })} ${counts[index]}`),
+            `${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${labelText(labels)} ${sum}`,
+            `${name}_count${labelText(labels)} ${count}`
+        ])
+    };
+    metrics.push(metric);
+    return metric;
+};
+
+/**
+ * A value computed when /metrics is scraped.
+ * @param {Function} collect - Returns [{ labels, value }].
+ */
+const gauge = (name, help, collect) => {
+    metrics.push({
+        name, help, type: 'gauge',
+        lines: () => collect().map(({ labels = {}, value }) => `${name}${labelText(labels)} ${value}`)
+    });
+};
+
+/**
+ * @returns {string} - Every metric in the Prometheus text exposition format (version 0.0.4).
+ */
+const render = () => metrics.map(metric => [
+    `# HELP ${metric.name} ${metric.help}`,
+    `# TYPE ${metric.name} ${metric.type}`,
+    ...metric.lines()
+].join('\n')).join('\n') + '\n';
+
+// --- CATALOG (design note 1) ---
+
+const httpRequests = counter('hub_http_requests_total', 'HTTP requests by method, route template and status.', ['method', 'route', 'status']);
+const httpDuration = histogram('hub_http_request_duration_seconds', 'HTTP request latency by method and route template.', ['method', 'route'],
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+
+const ingestJobs = counter('sentiment_ingest_jobs_total', 'Background ingest jobs by final status.', ['status']);
+const rowsIngested = counter('sentiment_rows_ingested_total', 'Rows read by completed ingest jobs and scored-output downloads, scored or skipped.', ['outcome']);
+
+const tanagaGenerations = counter('tanaga_generations_total', 'Poems returned by the Tanaga agent, by form and whether the meter passed.', ['form', 'meter']);
+gauge('tanaga_meter_pass_rate', 'Share of returned poems whose meter passed, per form.', () => {
+    const forms = new Set(tanagaGenerations.entries().map(entry => entry.labels.form));
+    return [...forms].map(form => ({
+        labels: { form },
+        value: tanagaGenerations.total({ form, meter: 'passed' }) / tanagaGenerations.total({ form })
+    }));
+});
+
+const contactSends = counter('contact_sends_total', 'Contact widget submissions by outcome (queued, failed, rejected, invalid).', ['outcome']);
+const contactDeliveries = counter('contact_deliveries_total', 'Outbox delivery attempts by message kind and outcome (sent, retry, dead).', ['kind', 'outcome']);
+
+const startedAt = Date.now();
+gauge('process_uptime_seconds', 'Seconds since the hub started.', () => [{ value: (Date.now() - startedAt) / 1000 }]);
+gauge('process_resident_memory_bytes', 'Resident set size of the hub process.', () => [{ value: process.memoryUsage().rss }]);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use.', () => [{ value: process.memoryUsage().heapUsed }]);
+
+module.exports = {
+    counter, histogram, gauge, render,
+    httpRequests, httpDuration, ingestJobs, rowsIngested, tanagaGenerations, contactSends, contactDeliveries
+};
@@ -0,0 +1,171 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Outbox
+ * MISSION: Durable, retried delivery of contact mail (SQLite-backed queue).
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. ACCEPT, THEN DELIVER: A message is written to outbound_messages before
+ * the sender gets an answer, so an SMTP outage delays mail instead of losing it.
+ * The body is sealed (utils/sealer) when CONTACT_ENCRYPTION_KEY is set and
+ * stored as plain JSON otherwise; the queue runs either way.
+ * 2. BACKOFF: Failed deliveries wait OUTBOX_RETRY_BASE_MS x 2^(attempt-1)
+ * (with jitter, capped at six hours). After OUTBOX_MAX_ATTEMPTS the message
+ * is dead-lettered ('dead') with its last error; an operator can requeue it.
+ * 3. MINIMIZATION: The stored body is erased as soon as a message is sent;
+ * only its status row remains.
+ * 4. AT LEAST ONCE: Messages caught mid-send by a restart go back to
+ * 'pending' and are sent again.
+ * ================================================================================
+ */
+
+const { ready, sqlTimestamp } = require('./contactDb');
+const { sealingEnabled, seal, unseal } = require('./sealer');
+const { deliver } = require('./mailer');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const POLL_MS = Number(process.env.OUTBOX_POLL_MS || 5000);
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.OUTBOX_RETRY_BASE_MS || 30 * 1000);
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+const STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+let draining = false;
+let drainAgain = false;
+
+// Bodies at rest (design note 1). Sealed text always starts with its version tag, 'v1.'
+const pack = (mail) => (sealingEnabled() ? seal(mail) : JSON.stringify(mail));
+const unpack = (stored) => (String(stored).startsWith('v1.') ? unseal(stored) : JSON.parse(stored));
+
+const backoffMs = (attempts) => Math.min(MAX_BACKOFF_MS, RETRY_BASE_MS * 2 ** (attempts - 1)) * (0.75 + Math.random() / 2);
+
+const toPublic = (row) => ({
+    id: row.id,
+    identity_id: row.identity_id,
+    kind: row.kind,
+    status: row.status,
+    attempts: row.attempts,
+    next_attempt_at: row.next_attempt_at,
+    last_error: row.last_error,
+    created_at: row.created_at,
+    sent_at: row.sent_at
+});
+
+/**
+ * Tries one message and records the outcome (design notes 2-3).
+ */
+const attempt = async (db, row) => {
+    const attempts = row.attempts + 1;
+    await db.run("UPDATE outbound_messages SET status = 'sending', attempts = ? WHERE id = ?", [attempts, row.id]);
+    try {
+        await deliver(unpack(row.sealed));
+        await db.run(
+            "UPDATE outbound_messages SET status = 'sent', sealed = NULL, last_error = NULL, sent_at = ? WHERE id = ?",
+            [sqlTimestamp(), row.id]
+        );
+        metrics.contactDeliveries.inc({ kind: row.kind, outcome: 'sent' });
+    } catch (err) {
+        const error = String(err.message || err).slice(0, 500);
+        if (attempts >= MAX_ATTEMPTS) {
+            logger.error("Outbox Message Dead-Lettered", { messageId: row.id, kind: row.kind, attempts, error });
+            await db.run("UPDATE outbound_messages SET status = 'dead', last_error = ? WHERE id = ?", [error, row.id]);
+            metrics.contactDeliveries.inc({ kind: row.kind, outcome: 'dead' });
+        } else {
+            logger.warn("Outbox Delivery Failure", { messageId: row.id, kind: row.kind, attempts, error });
+            metrics.contactDeliveries.inc({ kind: row.kind, outcome: 'retry' });
+            const next = sqlTimestamp(new Date(Date.now() + backoffMs(attempts)));
+            await db.run("UPDATE outbound_messages SET status = 'pending', last_error = ?, next_attempt_at = ? WHERE id = ?", [error, next, row.id]);
+        }
+    }
+};
+
+/**
+ * Sends every due message. Overlapping calls collapse into one extra pass.
+ */
+const drain = async () => {
+    if (draining) {
+        drainAgain = true;
+        return;
+    }
+    draining = true;
+    try {
+        const db = await ready;
+        do {
+            drainAgain = false;
+            const due = await db.all(
+                "SELECT * FROM outbound_messages WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT ?",
+                [sqlTimestamp(), BATCH_SIZE]
+            );
+            for (const row of due) await attempt(db, row);
+            if (due.length === BATCH_SIZE) drainAgain = true;
+        } while (drainAgain);
+    } catch (err) {
+        logger.error("Outbox Drain Failure", { error: err.message });
+    } finally {
+        draining = false;
+    }
+};
+
+// WORKER: Recover interrupted sends (design note 4), then poll
+ready.then(async (db) => {
+    await db.run("UPDATE outbound_messages SET status = 'pending' WHERE status = 'sending'");
+    setInterval(drain, POLL_MS).unref();
+    drain();
+}).catch(err => logger.error("Outbox Startup Failure", { error: err.message }));
+
+/**
+ * Queues a composed message and starts delivering it right away.
+ * @param {object} entry - { mail (nodemailer options), kind ('inquiry' | 'inbox_access'), identityId }.
+ * @returns {Promise<number>} - The queue id.
+ */
+const enqueue = async ({ mail, kind, identityId = null }) => {
+    const db = await ready;
+    const now = sqlTimestamp();
+    const result = await db.run(
+        'INSERT INTO outbound_messages (identity_id, kind, sealed, status, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [identityId, kind, pack(mail), 'pending', now, now]
+    );
+    drain();
+    return result.lastID;
+};
+
+/**
+ * @param {object} query - { status?, limit, offset }.
+ * @returns {Promise<object>} - { items (newest first, no bodies), total }.
+ */
+const listMessages = async ({ status = null, limit = 50, offset = 0 } = {}) => {
+    const db = await ready;
+    const where = status ? 'WHERE status = ?' : '';
+    const params = status ? [status] : [];
+    const { total } = await db.get(`SELECT COUNT(*) AS total FROM outbound_messages ${where}`, params);
+    const rows = await db.all(`SELECT * FROM outbound_messages ${where} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    return { items: rows.map(toPublic), total };
+};
+
+/**
+ * Requeues a dead-lettered message with a fresh attempt budget.
+ * @returns {Promise<object|null>} - The message, or null if it is unknown or not dead.
+ */
+const retryMessage = async (id) => {
+    const db = await ready;
+    const result = await db.run(
+        "UPDATE outbound_messages SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ? AND status = 'dead'",
+        [sqlTimestamp(), id]
+    );
+    if (!result.changes) return null;
+    drain();
+    return toPublic(await db.get('SELECT * FROM outbound_messages WHERE id = ?', [id]));
+};
+
+/**
+ * Deletes a message that is not in flight (e.g. a dead letter that should not be retried).
+ * @returns {Promise<boolean>}
+ */
+const deleteMessage = async (id) => {
+    const db = await ready;
+    const result = await db.run("DELETE FROM outbound_messages WHERE id = ? AND status != 'sending'", [id]);
+    return result.changes > 0;
+};
+
+module.exports = { STATUSES, enqueue, listMessages, retryMessage, deleteMessage };
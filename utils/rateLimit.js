@@ -0,0 +1,52 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Rate Limiter
+ * MISSION: Sliding-window request limits per API key and per client IP.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. SLIDING LOG: Each caller keeps the timestamps of its requests inside the
+ * window, so there is no burst at fixed window boundaries and Retry-After is
+ * exact (the moment the oldest request leaves the window).
+ * 2. BOUNDED MEMORY: A log never holds more than its limit, and a sweep drops
+ * callers that have been idle for a whole window.
+ * 3. EPHEMERAL STATE: Counters live in process memory; a restart resets them.
+ * ================================================================================
+ */
+
+/**
+ * Creates a limiter with one window length and per-call limits.
+ * @param {object} options
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @returns {object} - { hit(id, limit) -> { allowed, limit, remaining, retryAfterSeconds } }.
+ */
+const createRateLimiter = ({ windowMs }) => {
+    const logs = new Map();
+
+    const prune = (log, now) => {
+        while (log.length && log[0] <= now - windowMs) log.shift();
+        return log;
+    };
+
+    setInterval(() => {
+        const now = Date.now();
+        for (const [id, log] of logs) {
+            if (!prune(log, now).length) logs.delete(id);
+        }
+    }, windowMs).unref();
+
+    const hit = (id, limit) => {
+        const now = Date.now();
+        const log = prune(logs.get(id) || [], now);
+        logs.set(id, log);
+
+        if (log.length >= limit) {
+            return { allowed: false, limit, remaining: 0, retryAfterSeconds: Math.max(1, Math.ceil((log[0] + windowMs - now) / 1000)) };
+        }
+        log.push(now);
+        return { allowed: true, limit, remaining: limit - log.length, retryAfterSeconds: 0 };
+    };
+
+    return { hit };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,160 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign PII Redaction Engine
+ * MISSION: One configurable scrubber shared by the Sentiment, Tanaga and Contact stacks.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. RULE REGISTRY: Each category is a pattern plus an optional validator, so
+ * candidates that merely look like PII (e.g. a 16-digit order number that
+ * fails the Luhn check) are left untouched.
+ * 2. ORDERED PASSES: Rules run in registry order. Emails are masked before
+ * @handles and URLs, so the '@' inside an address is never misread.
+ * 3. AUDITABILITY: Every pass reports how many matches were removed per
+ * category so IRB paperwork can state exactly what was redacted.
+ * 4. CONFIGURATION: Rules are switchable per request and per tool/project via
+ * PII_RULES_<TOOL> and PII_RULES environment variables.
+ * ================================================================================
+ */
+
+const digitsOf = (s) => s.replace(/\D/g, '');
+
+/**
+ * Luhn (mod 10) checksum used by payment card numbers.
+ */
+const passesLuhn = (digits) => {
+    let sum = 0;
+    let double = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+        let d = Number(digits[i]);
+        if (double) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+        double = !double;
+    }
+    return sum % 10 === 0;
+};
+
+/**
+ * RULE REGISTRY (order matters; see design note 2).
+ */
+const RULES = {
+    email: {
+        label: '[EMAIL]',
+        pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi
+    },
+    url: {
+        label: '[URL]',
+        pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi
+    },
+    ip: {
+        label: '[IP]',
+        pattern: /(?<![\w.])(?:\d{1,3}\.){3}\d{1,3}(?![\w.])|(?<![\w:])(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}(?![\w:])/gi,
+        validate: (m) => m.includes(':') || m.split('.').every(octet => Number(octet) <= 255)
+    },
+    card: {
+        label: '[CARD]',
+        pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+        validate: (m) => passesLuhn(digitsOf(m))
+    },
+    ssn: {
+        label: '[SSN]',
+        pattern: /(?<![\d-])\d{3}-\d{2}-\d{4}(?![\d-])/g,
+        // Area 000/666/9xx, group 00 and serial 0000 are never issued
+        validate: (m) => {
+            const [area, group, serial] = m.split('-');
+            return area !== '000' && area !== '666' && area[0] !== '9' && group !== '00' && serial !== '0000';
+        }
+    },
+    phone: {
+        label: '[PHONE]',
+        // International (+CC ...) or national 10/11-digit numbers with optional separators
+        pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?(?:\(?\d{1,4}\)?[\s.-]?){1,4}\d{2,4}|(?:\(\d{3}\)\s?|\d{3,4}[-.\s]?)\d{3}[-.\s]?\d{4})(?![\w-])/g,
+        validate: (m) => {
+            const n = digitsOf(m).length;
+            return m.startsWith('+') ? n >= 8 && n <= 15 : n === 10 || (n === 11 && m.startsWith('0'));
+        }
+    },
+    handle: {
+        label: '[HANDLE]',
+        pattern: /(?<![\w@.])@[A-Za-z0-9_]{2,30}\b/g
+    }
+};
+
+const RULE_NAMES = Object.keys(RULES);
+
+/**
+ * Parses a rule specification into a list of enabled rule names.
+ * Accepts an array, a comma-separated string ('email,phone'), 'all', 'none',
+ * or an object of toggles applied on top of the fallback ({ url: false }).
+ * @throws {Error} - On unknown rule names.
+ */
+const resolveRules = (spec, fallback = RULE_NAMES) => {
+    if (spec === undefined || spec === null || spec === '') return [...fallback];
+
+    if (typeof spec === 'object' && !Array.isArray(spec)) {
+        const enabled = new Set(fallback);
+        for (const [name, on] of Object.entries(spec)) {
+            if (!RULES[name]) throw new Error(`Unknown redaction rule: ${name}`);
+            if (on === false || on === 'false' || on === 0) enabled.delete(name);
+            else enabled.add(name);
+        }
+        return RULE_NAMES.filter(n => enabled.has(n));
+    }
+
+    const names = (Array.isArray(spec) ? spec : String(spec).split(','))
+        .map(n => String(n).trim().toLowerCase())
+        .filter(Boolean);
+    if (names.length === 1 && names[0] === 'all') return [...RULE_NAMES];
+    if (names.length === 1 && names[0] === 'none') return [];
+
+    const unknown = names.filter(n => !RULES[n]);
+    if (unknown.length) throw new Error(`Unknown redaction rule(s): ${unknown.join(', ')}`);
+    return RULE_NAMES.filter(n => names.includes(n));
+};
+
+/**
+ * Project-level defaults for a tool: PII_RULES_<TOOL>, then PII_RULES, then the tool's built-in default.
+ * @param {string} tool - 'sentiment' | 'tanaga' | 'contact'.
+ * @param {string|Array} builtIn - Used when neither environment variable is set.
+ */
+const defaultRules = (tool, builtIn = RULE_NAMES) => {
+    const configured = process.env[`PII_RULES_${tool.toUpperCase()}`] || process.env.PII_RULES;
+    return resolveRules(configured, resolveRules(builtIn));
+};
+
+/**
+ * Compiles a redactor for a fixed rule set.
+ * @param {Array<string>} rules - Enabled rule names (see resolveRules).
+ * @returns {function(string): {text: string, counts: object}}
+ */
+const createRedactor = (rules = RULE_NAMES) => {
+    const active = RULE_NAMES.filter(n => rules.includes(n));
+
+    return (text) => {
+        const counts = {};
+        if (!text || typeof text !== 'string') return { text: '', counts };
+
+        let out = text;
+        for (const name of active) {
+            const { pattern, label, validate } = RULES[name];
+            out = out.replace(pattern, (match) => {
+                if (validate && !validate(match)) return match;
+                counts[name] = (counts[name] || 0) + 1;
+                return label;
+            });
+        }
+        return { text: out, counts };
+    };
+};
+
+/**
+ * Folds one pass's counts into a running tally (used for per-ingest totals).
+ */
+const mergeCounts = (total, counts) => {
+    for (const [name, n] of Object.entries(counts)) total[name] = (total[name] || 0) + n;
+    return total;
+};
+
+module.exports = { RULE_NAMES, resolveRules, defaultRules, createRedactor, mergeCounts, passesLuhn };
@@ -0,0 +1,197 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Researcher Self-Service
+ * MISSION: Proof of mailbox ownership and the changes a researcher may make to their identity.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. MAGIC LINKS: A single-use token mailed to the address on file
+ * (MAGIC_LINK_MINUTES, default 15). Redeeming it opens a short management
+ * session (MANAGE_SESSION_MINUTES, default 30), so the emailed token is not
+ * reused from browser history. Only SHA-256 digests of either are stored.
+ * 2. EMAIL CHANGES: A new address takes effect only when a link mailed to that
+ * address is redeemed.
+ * 3. AUDIT: Every action lands in contact_audit with its time and the
+ * requester's IP. Secrets (reCAPTCHA secret keys, tokens) are never recorded.
+ * 4. ERASURE: Deleting an identity removes its inbox, queued mail, links and
+ * sessions. Its audit rows lose their IPs and details; the bare fact that an
+ * identity existed and was erased is kept.
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const { ready, sqlTimestamp } = require('./contactDb');
+
+const MAGIC_LINK_MS = Number(process.env.MAGIC_LINK_MINUTES || 15) * 60 * 1000;
+const SESSION_MS = Number(process.env.MANAGE_SESSION_MINUTES || 30) * 60 * 1000;
+const STATUSES = ['active', 'revoked'];
+
+const digest = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const expiry = (ms) => sqlTimestamp(new Date(Date.now() + ms));
+
+/**
+ * Records one action (design note 3).
+ * @param {number} identityId
+ * @param {string} action - e.g. 'keys_rotated'.
+ * @param {string|null} ip - Requester IP.
+ * @param {object} [detail] - Non-secret context.
+ */
+const audit = async (identityId, action, ip, detail = null) => {
+    const db = await ready;
+    await db.run(
+        'INSERT INTO contact_audit (identity_id, action, detail, ip, created_at) VALUES (?, ?, ?, ?, ?)',
+        [identityId, action, detail ? JSON.stringify(detail) : null, ip || null, sqlTimestamp()]
+    );
+};
+
+/**
+ * @returns {Promise<Array<object>>} - The identity's audit trail, newest first.
+ */
+const listAudit = async (identityId) => {
+    const db = await ready;
+    const rows = await db.all('SELECT action, detail, ip, created_at FROM contact_audit WHERE identity_id = ? ORDER BY id DESC LIMIT 200', [identityId]);
+    return rows.map(row => ({ ...row, detail: row.detail ? JSON.parse(row.detail) : null }));
+};
+
+/**
+ * @returns {Promise<object|null>} - { id, email, siteKey, status, consentAt } (never the secret key).
+ */
+const getIdentity = async (identityId) => {
+    const db = await ready;
+    const row = await db.get('SELECT id, raw_email, recaptcha_site_key, status, consent_timestamp FROM contact_identities WHERE id = ?', [identityId]);
+    return row ? { id: row.id, email: row.raw_email, siteKey: row.recaptcha_site_key, status: row.status || 'active', consentAt: row.consent_timestamp } : null;
+};
+
+/**
+ * @returns {Promise<number|null>} - The identity id registered for an address.
+ */
+const findIdentityByEmail = async (email) => {
+    const db = await ready;
+    const row = await db.get('SELECT id FROM contact_identities WHERE email_hash = ?', [email]);
+    return row ? row.id : null;
+};
+
+/**
+ * Issues a single-use link token (design notes 1-2).
+ * @param {number} identityId
+ * @param {string} purpose - 'manage' or 'email_change'.
+ * @param {string} ip
+ * @param {string} [newEmail] - The address to switch to ('email_change' only).
+ * @returns {Promise<string>} - The plaintext token.
+ */
+const issueMagicLink = async (identityId, purpose, ip, newEmail = null) => {
+    const db = await ready;
+    const now = sqlTimestamp();
+    await db.run('DELETE FROM magic_links WHERE expires_at <= ? OR used_at IS NOT NULL', [now]);
+
+    const token = `ml_${crypto.randomBytes(32).toString('base64url')}`;
+    await db.run(
+        'INSERT INTO magic_links (identity_id, purpose, token_hash, new_email, ip, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [identityId, purpose, digest(token), newEmail, ip || null, now, expiry(MAGIC_LINK_MS)]
+    );
+    return token;
+};
+
+/**
+ * Consumes a link token. A token works once, before it expires, for its own purpose.
+ * @returns {Promise<object|null>} - { identityId, newEmail }, or null.
+ */
+const redeemMagicLink = async (token, purpose) => {
+    if (!/^ml_[A-Za-z0-9_-]{43}$/.test(String(token || ''))) return null;
+    const db = await ready;
+    const now = sqlTimestamp();
+    const hash = digest(token);
+    const result = await db.run(
+        'UPDATE magic_links SET used_at = ? WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?',
+        [now, hash, purpose, now]
+    );
+    if (!result.changes) return null;
+    const row = await db.get('SELECT identity_id, new_email FROM magic_links WHERE token_hash = ?', [hash]);
+    return { identityId: row.identity_id, newEmail: row.new_email };
+};
+
+/**
+ * Opens a management session for a verified owner.
+ * @returns {Promise<object>} - { token, expiresAt }.
+ */
+const openSession = async (identityId, ip) => {
+    const db = await ready;
+    await db.run('DELETE FROM manage_sessions WHERE expires_at <= ?', [sqlTimestamp()]);
+
+    const token = `ms_${crypto.randomBytes(32).toString('base64url')}`;
+    const expiresAt = expiry(SESSION_MS);
+    await db.run(
+        'INSERT INTO manage_sessions (identity_id, token_hash, ip, created_at, expires_at) VALUES (?, ?, ?, ?, ?)',
+        [identityId, digest(token), ip || null, sqlTimestamp(), expiresAt]
+    );
+    return { token, expiresAt };
+};
+
+/**
+ * @returns {Promise<number|null>} - The identity id of a live session.
+ */
+const verifySession = async (token) => {
+    if (!/^ms_[A-Za-z0-9_-]{43}$/.test(String(token || ''))) return null;
+    const db = await ready;
+    const row = await db.get('SELECT identity_id FROM manage_sessions WHERE token_hash = ? AND expires_at > ?', [digest(token), sqlTimestamp()]);
+    return row ? row.identity_id : null;
+};
+
+/**
+ * Ends a session early (sign-out).
+ */
+const closeSession = async (token) => {
+    const db = await ready;
+    await db.run('DELETE FROM manage_sessions WHERE token_hash = ?', [digest(String(token || ''))]);
+};
+
+/**
+ * Replaces the identity's reCAPTCHA key pair.
+ */
+const rotateKeys = async (identityId, siteKey, secretKey) => {
+    const db = await ready;
+    await db.run('UPDATE contact_identities SET recaptcha_site_key = ?, recaptcha_secret_key = ? WHERE id = ?', [siteKey, secretKey, identityId]);
+};
+
+/**
+ * @param {string} status - One of STATUSES.
+ */
+const setStatus = async (identityId, status) => {
+    const db = await ready;
+    await db.run('UPDATE contact_identities SET status = ? WHERE id = ?', [status, identityId]);
+};
+
+/**
+ * Switches the destination address (after re-verification, design note 2).
+ * @returns {Promise<boolean>} - False if another identity already uses the address.
+ */
+const changeEmail = async (identityId, email) => {
+    const db = await ready;
+    const taken = await db.get('SELECT id FROM contact_identities WHERE email_hash = ? AND id != ?', [email, identityId]);
+    if (taken) return false;
+    await db.run('UPDATE contact_identities SET email_hash = ?, raw_email = ? WHERE id = ?', [email, email, identityId]);
+    return true;
+};
+
+/**
+ * Right to erasure (design note 4). Sessions go last, so a failed erasure can be retried from the same session.
+ */
+const eraseIdentity = async (identityId) => {
+    const db = await ready;
+    for (const table of ['contact_inbox', 'researcher_inboxes', 'outbound_messages', 'magic_links']) {
+        await db.run(`DELETE FROM ${table} WHERE identity_id = ?`, [identityId]);
+    }
+    await db.run('DELETE FROM contact_identities WHERE id = ?', [identityId]);
+    await db.run('UPDATE contact_audit SET ip = NULL, detail = NULL WHERE identity_id = ?', [identityId]);
+    await db.run(
+        'INSERT INTO contact_audit (identity_id, action, detail, ip, created_at) VALUES (?, ?, NULL, NULL, ?)',
+        [identityId, 'erased', sqlTimestamp()]
+    );
+    await db.run('DELETE FROM manage_sessions WHERE identity_id = ?', [identityId]);
+};
+
+module.exports = {
+    STATUSES,
+    audit, listAudit, getIdentity, findIdentityByEmail,
+    issueMagicLink, redeemMagicLink, openSession, verifySession, closeSession,
+    rotateKeys, setStatus, changeEmail, eraseIdentity
+};
@@ -0,0 +1,67 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Sealer
+ * MISSION: Authenticated encryption for contact data that has to touch the disk.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. AES-256-GCM: Every value gets a fresh 96-bit IV; the auth tag rejects any
+ * tampered or truncated record. Sealed text is 'v1.<iv>.<tag>.<ciphertext>'
+ * (base64url), so a future key or cipher can be told apart.
+ * 2. KEY: CONTACT_ENCRYPTION_KEY holds 32 bytes as 64 hex characters or
+ * base64. Without a valid key nothing is sealed: inboxes stay off, and the
+ * delivery queue (utils/outbox) keeps its bodies unencrypted until they are sent.
+ * ================================================================================
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const parseKey = (raw) => {
+    if (!raw) return null;
+    const value = raw.trim();
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    return key.length === 32 ? key : null;
+};
+
+const KEY = parseKey(process.env.CONTACT_ENCRYPTION_KEY);
+
+if (!process.env.CONTACT_ENCRYPTION_KEY) {
+    logger.warn("Contact Encryption Disabled", { setting: 'CONTACT_ENCRYPTION_KEY', problem: 'missing', effect: 'queued contact mail is stored unencrypted until sent; inboxes are unavailable' });
+} else if (!KEY) {
+    logger.warn("Contact Encryption Disabled", { setting: 'CONTACT_ENCRYPTION_KEY', problem: 'must be 32 bytes (64 hex characters or base64)', effect: 'queued contact mail is stored unencrypted until sent; inboxes are unavailable' });
+}
+
+/**
+ * @returns {boolean} - Whether a valid key is configured.
+ */
+const sealingEnabled = () => Boolean(KEY);
+
+/**
+ * Encrypts a JSON-serializable value.
+ * @returns {string} - Sealed text (design note 1).
+ */
+const seal = (value) => {
+    if (!KEY) throw new Error('CONTACT_ENCRYPTION_KEY is not configured.');
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', KEY, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (typeof part === 'string' ? part : part.toString('base64url'))).join('.');
+};
+
+/**
+ * Decrypts sealed text.
+ * @returns {*} - The original value.
+ * @throws {Error} - If the text is malformed, tampered with or sealed under another key.
+ */
+const unseal = (text) => {
+    if (!KEY) throw new Error('CONTACT_ENCRYPTION_KEY is not configured.');
+    const [version, iv, tag, ciphertext] = String(text).split('.');
+    if (version !== 'v1' || !ciphertext) throw new Error('Unrecognized sealed record.');
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', KEY, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const plain = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+};
+
+module.exports = { sealingEnabled, seal, unseal };
@@ -0,0 +1,70 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Segment Accumulator
+ * MISSION: Splits the polarity distribution by the values of one CSV column.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. BOUNDED CARDINALITY: Only the first `limit` distinct values get their own
+ * segment; every later value is folded into a single "other" bucket so a
+ * free-text column cannot explode the number of stored rows.
+ * 2. DATA MINIMIZATION: Segment labels are truncated to 255 characters and
+ * are the only CSV values (besides scores) that outlive the ingest pass.
+ * ================================================================================
+ */
+
+const { createStats } = require('./stats');
+
+const DEFAULT_SEGMENT_LIMIT = 20;
+const MAX_SEGMENT_LIMIT = 100;
+const OTHER_LABEL = 'other';
+const BLANK_LABEL = '(blank)';
+
+/**
+ * Creates a per-segment accumulator for a single ingest pass.
+ * @param {string} column - The (normalized) CSV column being grouped on.
+ * @param {number} limit - Maximum number of named segments before values spill into "other".
+ */
+const createSegments = (column, limit = DEFAULT_SEGMENT_LIMIT) => {
+    const segments = new Map();
+    let other = null;
+
+    const newSegment = (value, isOther) => ({ value, isOther, bins: new Array(11).fill(0), stats: createStats() });
+
+    return {
+        column,
+
+        /**
+         * Records one scored row under its segment value.
+         */
+        add(rawValue, score, binIndex) {
+            const value = (rawValue || '').trim().slice(0, 255) || BLANK_LABEL;
+
+            let segment = segments.get(value);
+            if (!segment) {
+                if (segments.size < limit) {
+                    segment = newSegment(value, false);
+                    segments.set(value, segment);
+                } else {
+                    segment = other || (other = newSegment(OTHER_LABEL, true));
+                }
+            }
+            segment.bins[binIndex]++;
+            segment.stats.add(score);
+        },
+
+        /**
+         * @returns {Array<object>} - Named segments by descending row count, then "other" (if used).
+         */
+        toArray() {
+            const named = [...segments.values()].sort((a, b) => b.stats.summary().rowCount - a.stats.summary().rowCount);
+            return [...named, ...(other ? [other] : [])].map(s => ({
+                value: s.value,
+                isOther: s.isOther,
+                bins: s.bins,
+                ...s.stats.summary()
+            }));
+        }
+    };
+};
+
+module.exports = { DEFAULT_SEGMENT_LIMIT, MAX_SEGMENT_LIMIT, createSegments };
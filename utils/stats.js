@@ -0,0 +1,99 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Summary Statistics
+ * MISSION: Constant-memory descriptive statistics over streamed compound scores.
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. STREAMING: Scores are folded in one at a time (Welford's algorithm), so
+ * memory use does not grow with the size of the dataset.
+ * 2. EXACT MEDIAN: VADER rounds compound scores to 4 decimals, so a fixed
+ * 20,001-slot counting histogram yields the exact median in constant memory.
+ * 3. CONVENTIONAL THRESHOLDS: Positive >= +0.05, negative <= -0.05, neutral
+ * otherwise, per the VADER authors' recommendation.
+ * ================================================================================
+ */
+
+const POSITIVE_THRESHOLD = 0.05;
+const NEGATIVE_THRESHOLD = -0.05;
+const MEDIAN_RESOLUTION = 10000; // Slots per unit of compound score (4 decimals)
+
+/**
+ * Creates a running accumulator for compound scores.
+ * @param {object} options
+ * @param {boolean} options.trackMedian - Allocates the counting histogram (~80KB) needed for the median.
+ */
+const createStats = ({ trackMedian = false } = {}) => {
+    let count = 0;
+    let mean = 0;
+    let m2 = 0;
+    let positive = 0;
+    let neutral = 0;
+    let negative = 0;
+    let posSum = 0;
+    let neuSum = 0;
+    let negSum = 0;
+    const histogram = trackMedian ? new Uint32Array(2 * MEDIAN_RESOLUTION + 1) : null;
+
+    const median = () => {
+        if (!histogram || !count) return null;
+        // Average of the lower and upper middle values (identical when count is odd)
+        const lowRank = Math.floor((count - 1) / 2);
+        const highRank = Math.floor(count / 2);
+        let low = null;
+        let seen = 0;
+        for (let i = 0; i < histogram.length; i++) {
+            seen += histogram[i];
+            if (low === null && seen > lowRank) low = i;
+            if (seen > highRank) return ((low + i) / 2 - MEDIAN_RESOLUTION) / MEDIAN_RESOLUTION;
+        }
+        return null;
+    };
+
+    return {
+        /**
+         * @param {number} score - Compound score.
+         * @param {object} [components] - VADER pos/neu/neg proportions for the same row.
+         */
+        add(score, components) {
+            count++;
+            const delta = score - mean;
+            mean += delta / count;
+            m2 += delta * (score - mean);
+
+            if (score >= POSITIVE_THRESHOLD) positive++;
+            else if (score <= NEGATIVE_THRESHOLD) negative++;
+            else neutral++;
+
+            if (components) {
+                posSum += components.pos;
+                neuSum += components.neu;
+                negSum += components.neg;
+            }
+            if (histogram) {
+                const slot = Math.round((Math.max(-1, Math.min(1, score)) + 1) * MEDIAN_RESOLUTION);
+                histogram[slot]++;
+            }
+        },
+
+        /**
+         * @returns {object} - Row count, mean, median (if tracked), population standard deviation,
+         * polarity shares and mean VADER component intensities.
+         */
+        summary() {
+            return {
+                rowCount: count,
+                mean: count ? mean : 0,
+                median: median(),
+                stdDev: count ? Math.sqrt(m2 / count) : 0,
+                positiveShare: count ? positive / count : 0,
+                neutralShare: count ? neutral / count : 0,
+                negativeShare: count ? negative / count : 0,
+                meanPos: count ? posSum / count : 0,
+                meanNeu: count ? neuSum / count : 0,
+                meanNeg: count ? negSum / count : 0
+            };
+        }
+    };
+};
+
+module.exports = { POSITIVE_THRESHOLD, NEGATIVE_THRESHOLD, createStats };
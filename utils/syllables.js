@@ -0,0 +1,106 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Syllable Counter
+ * MISSION: Offline meter checks for generated verse (Tagalog and English).
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. TAGALOG: Every written vowel is a syllable nucleus (w and y are consonants,
+ * so "araw" is a-raw). The two vowel-less particles are listed: "ng" (nang)
+ * and "mga" (ma-nga).
+ * 2. ENGLISH: A heuristic syllabifier. It counts vowel groups after removing a
+ * silent final e and non-syllabic -es/-ed. Common suffixes are counted on
+ * their stem ("lovely" = love + ly). A small exception list covers frequent
+ * poetry words the rules get wrong. Expect an occasional miss on rare words.
+ * 3. LINES: Numerals are not counted (the prompts ask for words); list markers
+ * and Markdown emphasis that models add around lines are ignored.
+ * ================================================================================
+ */
+
+const TAGALOG_VOWELS = /[aeiouáàâéèêíìîóòôúùû]/gi;
+const TAGALOG_EXCEPTIONS = { ng: 1, mga: 2 };
+
+const ENGLISH_EXCEPTIONS = {
+    the: 1, every: 2, everything: 3, evening: 2, heaven: 2, heavens: 2, poem: 2, poems: 2, poet: 2, quiet: 2,
+    science: 2, create: 2, created: 3, idea: 3, area: 3, real: 1, really: 2, being: 2, lion: 2, fire: 1, fires: 1,
+    hour: 1, hours: 1, our: 1, flower: 2, flowers: 2, power: 2, tower: 2, business: 2, people: 2, beautiful: 3,
+    different: 3, family: 3, naive: 2, chaos: 2, diary: 3, violet: 3, giant: 2, ocean: 2, maybe: 2, someone: 2,
+    sometimes: 2, somewhere: 2, forever: 3, whenever: 3, wherever: 3, one: 1, once: 1, eye: 1, eyes: 1
+};
+const ENGLISH_SUFFIXES = [['ness', 1], ['less', 1], ['ment', 1], ['ful', 1], ['ly', 1]];
+
+/**
+ * Counts the syllables of one Tagalog word (design note 1).
+ */
+const tagalogWord = (word) => {
+    const lower = word.toLowerCase();
+    if (Object.hasOwn(TAGALOG_EXCEPTIONS, lower)) return TAGALOG_EXCEPTIONS[lower];
+    const vowels = (lower.match(TAGALOG_VOWELS) || []).length;
+    return vowels || (/\p{L}/u.test(lower) ? 1 : 0);
+};
+
+/**
+ * Counts the syllables of one English word (design note 2).
+ */
+const englishWord = (word) => {
+    let w = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!w) return 0;
+    if (Object.hasOwn(ENGLISH_EXCEPTIONS, w)) return ENGLISH_EXCEPTIONS[w];
+
+    for (const [suffix, syllables] of ENGLISH_SUFFIXES) {
+        const stem = w.slice(0, -suffix.length);
+        if (w.endsWith(suffix) && stem.length >= 3 && /[aeiouy]/.test(stem)) return englishWord(stem) + syllables;
+    }
+    if (w.length <= 3) return 1;
+
+    let extra = 0;
+    if (/[^aeiouy]le$/.test(w)) extra++;                        // ta-ble, lit-tle
+    if (/[aeiouy]ing$/.test(w)) extra++;                        // go-ing, see-ing
+    if (/[^aeiou]ed$/.test(w) && !/[td]ed$/.test(w)) w = w.slice(0, -2);                    // walked, played (but want-ed)
+    else if (/[^aeiou]es$/.test(w) && !/(?:[sxzcg]|[cs]h)es$/.test(w)) w = w.slice(0, -2);  // hopes (but box-es, pla-ces)
+    w = w
+        .replace(/([^aeiouy])e$/, '$1')                          // silent final e
+        .replace(/^y/, '');                                      // consonant y (yellow)
+
+    const groups = (w.match(/[aeiouy]+/g) || []).length;
+    return Math.max(1, groups + extra);
+};
+
+/**
+ * Splits a poem into its verse lines (design note 3).
+ * @param {string} poem - Model output.
+ * @returns {Array<string>}
+ */
+const verseLines = (poem) => String(poem)
+    .split(/\r?\n/)
+    .map(line => line.replace(/^\s*(?:[-*•>]|\d+[.)])\s+/, '').replace(/[*_]{1,2}/g, '').trim())
+    .filter(Boolean);
+
+/**
+ * Counts the syllables of one line.
+ * @param {string} line - Verse line.
+ * @param {string} language - "Tagalog" or "English".
+ * @returns {number}
+ */
+const countLine = (line, language) => {
+    const words = line.match(/[\p{L}'’]+/gu) || [];
+    const count = language === 'Tagalog' ? tagalogWord : englishWord;
+    return words.reduce((sum, w) => sum + count(w), 0);
+};
+
+/**
+ * Checks a poem against a fixed meter.
+ * @param {string} poem - Model output.
+ * @param {object} meter - { language, syllables (per line: one number, or one per line as in haiku), lines (expected line count) }.
+ * @returns {object} - { passed, lineCountOk, lines: [{ text, syllables, target, ok }] }.
+ */
+const checkMeter = (poem, { language, syllables, lines: expectedLines }) => {
+    const lines = verseLines(poem).map((text, i) => {
+        const count = countLine(text, language);
+        const target = Array.isArray(syllables) ? syllables[i] ?? null : syllables;
+        return { text, syllables: count, target, ok: count === target };
+    });
+    const lineCountOk = lines.length === expectedLines;
+    return { passed: lineCountOk && lines.every(l => l.ok), lineCountOk, lines };
+};
+
+module.exports = { countLine, verseLines, checkMeter };
@@ -0,0 +1,125 @@
+/**
+ * ================================================================================
+ * PROJECT: Sovereign Time-Series Accumulator
+ * MISSION: Buckets per-row sentiment scores into calendar periods (day/week/month).
+ * ARCHITECT: Christopher Fornesa
+ * * DESIGN NOTES:
+ * 1. DATA MINIMIZATION: Only per-period histograms and running sums are kept;
+ * the date values themselves are discarded once a row is bucketed.
+ * 2. UTC CALENDAR: Periods are computed in UTC so the same CSV always yields
+ * the same series regardless of the server's timezone. Dates must be ISO 8601
+ * (YYYY-MM-DD, optionally with a time and a Z or ±HH:MM offset); a time without
+ * an offset is read as UTC. Other formats (1/2/2024) are ambiguous and count as
+ * undated. Numeric values are epoch milliseconds.
+ * 3. POLARITY: Each period also counts positive, neutral and negative rows with
+ * the summary thresholds (utils/stats), so stacked views agree with the shares.
+ * ================================================================================
+ */
+
+const { POSITIVE_THRESHOLD, NEGATIVE_THRESHOLD } = require('./stats');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+const pad = (n) => String(n).padStart(2, '0');
+const toIsoDate = (d) => `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+
+/**
+ * Resolves the first day of the period containing `date`.
+ * Weeks start on Monday (ISO 8601).
+ * @param {Date} date - A valid Date.
+ * @param {string} granularity - 'day' | 'week' | 'month'.
+ * @returns {string} - Period start as YYYY-MM-DD.
+ */
+const periodStart = (date, granularity) => {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    if (granularity === 'week') {
+        const offset = (d.getUTCDay() + 6) % 7; // Days since Monday
+        d.setUTCDate(d.getUTCDate() - offset);
+    } else if (granularity === 'month') {
+        d.setUTCDate(1);
+    }
+    return toIsoDate(d);
+};
+
+/**
+ * Parses a date value without consulting the server's timezone (design note 2).
+ * @param {*} raw - Cell value.
+ * @returns {Date|null} - Null for empty, non-ISO or impossible dates.
+ */
+const parseUtcDate = (raw) => {
+    if (typeof raw === 'number') return Number.isFinite(raw) ? new Date(raw) : null;
+    const match = ISO_DATE.exec(String(raw ?? '').trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '', offset] = match;
+    const ms = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second), Number(fraction.padEnd(3, '0').slice(0, 3)));
+    const date = new Date(ms);
+    // Date.UTC rolls 2024-02-31 over into March; such dates are rejected instead
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day) || Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) return null;
+    if (!offset || offset.toUpperCase() === 'Z') return date;
+
+    const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+    return new Date(ms - (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000);
+};
+
+/**
+ * Creates a per-period accumulator for a single ingest pass.
+ * @param {string} granularity - 'day' | 'week' | 'month'.
+ */
+const createSeries = (granularity) => {
+    const periods = new Map();
+    let undated = 0;
+
+    return {
+        granularity,
+
+        /**
+         * Records one scored row. Rows with a missing or unparseable date are counted as undated.
+         * @returns {boolean} - True if the row was bucketed.
+         */
+        add(rawDate, score, binIndex) {
+            const date = parseUtcDate(rawDate);
+            if (!date || Number.isNaN(date.getTime())) {
+                undated++;
+                return false;
+            }
+
+            const key = periodStart(date, granularity);
+            let period = periods.get(key);
+            if (!period) {
+                period = { period: key, rowCount: 0, scoreSum: 0, bins: new Array(11).fill(0), positive: 0, neutral: 0, negative: 0 };
+                periods.set(key, period);
+            }
+            period.rowCount++;
+            period.scoreSum += score;
+            period.bins[binIndex]++;
+            if (score >= POSITIVE_THRESHOLD) period.positive++;
+            else if (score <= NEGATIVE_THRESHOLD) period.negative++;
+            else period.neutral++;
+            return true;
+        },
+
+        get undated() { return undated; },
+
+        /**
+         * @returns {Array<object>} - Periods in chronological order with mean compound score and polarity counts.
+         */
+        toArray() {
+            return [...periods.values()]
+                .sort((a, b) => a.period.localeCompare(b.period))
+                .map(({ period, rowCount, scoreSum, bins, positive, neutral, negative }) => ({
+                    period,
+                    rowCount,
+                    meanCompound: rowCount ? scoreSum / rowCount : 0,
+                    bins,
+                    positive,
+                    neutral,
+                    negative
+                }));
+        }
+    };
+};
+
+module.exports = { GRANULARITIES, periodStart, parseUtcDate, createSeries };